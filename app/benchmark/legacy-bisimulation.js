@@ -0,0 +1,128 @@
+'use strict';
+
+/**
+ * Performs a bisimulation coloring on the specified graphs, which gives the nodes in each graph a colouring
+ * based on transitions it makes to neighbouring nodes. Once the colouring is completed any nodes
+ * within the same graph with the same colour are considered equivalent and are merged together.
+ *
+ * This is the colour refinement that was used before partition refinement was introduced, it is
+ * only kept so that the benchmark can compare the two implementations.
+ *
+ * @param {!array} - an array of graphs to perform bisimulation colouring on.
+ * @returns {!object} - the coloured nodes and the simplified graphs
+ */
+function legacyBisimulation(graphs) {
+  var clones = [];
+  for(let i in graphs){
+    clones.push(graphs[i].deepClone());
+  }
+
+  // construct map of nodes and give them all the same color
+  var coloredNodes = [];
+  for(let i in clones){
+    var clone = clones[i];
+    var nodes = clone.nodes;
+    for(let n in nodes){
+      var node = nodes[n];
+      coloredNodes[node.id] = new Graph.ColoredNode(node);
+    }
+  }
+
+  // continue process until color map does not increase in size
+  var previousLength = -1;
+  var colorMap = []
+  while(previousLength < colorMap.length){
+    previousLength = colorMap.length;
+    colorMap = _legacyConstructColoring(coloredNodes);
+    coloredNodes = _legacyApplyColoring(coloredNodes, colorMap);
+  }
+
+  // merge nodes together that have the same colors
+  for(let i in clones){
+    var clone = clones[i];
+    var nodes = clone.nodes;
+     
+    for(let i in colorMap){
+      var nodeIds = [];
+        
+      for(let k in nodes){
+        var node = coloredNodes[nodes[k].id];
+        if(node.color === i){
+          nodeIds.push(node.node.id);
+        }
+      }
+      if(nodeIds.length > 1){
+        clone.mergeNodes(nodeIds);
+      }
+    }
+  }
+
+  // remove duplicate edges
+  for(let i in clones){
+    clones[i].removeDuplicateEdges();
+  }
+
+  return {coloredNodes: coloredNodes, graphs: clones};
+}
+
+/**
+ * Helper function for the bisimulation function which constructs and returns
+ * a color map for the specified colored nodes.
+ *
+ * @param {!Array} coloredNodes - The nodes to construct a color map for
+ * @returns {!Array} A color map to color the specified nodes with
+ */
+function _legacyConstructColoring(coloredNodes){
+  var colorMap = [];
+  // get coloring for each node in the graph
+  for(let n in coloredNodes){
+    var node = coloredNodes[n];
+    var coloring = node.constructNodeColoring(coloredNodes);
+
+    // only add coloring if it is not a duplicate
+    var equals = false;
+    for(let c in colorMap){
+      equals = colorMap[c].equals(coloring.coloring);
+      if(equals){
+        break;
+      }
+    }
+    if(!equals){
+      colorMap.push(coloring);
+    }
+  }
+
+  return colorMap;
+}
+
+/**
+ * Helper function for the bisimulation function which applies a coloring to
+ * the specified colored nodes based on the specified color map.
+ *
+ * @param {!Array} coloredNodes - Array of colored nodes
+ * @param {!Array} colorMap - map of colors
+ * @returns {!Array} The new coloring of the colored nodes
+ */
+function _legacyApplyColoring(coloredNodes, colorMap) {
+  var newColors = []
+  // get new color for each node in the graph
+  for(let n in coloredNodes){
+    var node = coloredNodes[n];
+
+    // work out new color for the current node
+    var coloring = node.constructNodeColoring(coloredNodes);
+    for(let c in colorMap){
+      if(colorMap[c].equals(coloring.coloring)){
+        newColors[n] = c;
+        break;
+      }
+    }
+  }
+
+  // apply new color to each node
+  for(let i in newColors){
+    coloredNodes[i].color = newColors[i];
+  }
+
+  return coloredNodes;
+}
\ No newline at end of file
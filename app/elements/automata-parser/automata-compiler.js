@@ -0,0 +1,187 @@
+// jshint -W098
+/**
+ * Compiles automata code without depending on Polymer or the DOM.
+ *
+ * This is the public API used by the automata-parser element, automata-parser-worker.js and
+ * the node module in lib/. Unlike the interpreter it does not throw when the code contains an
+ * error, instead the error is returned as a diagnostic.
+ *
+ * Requires the parsers, the graph scripts (including aldebaran.js), automaton.js and automata-interpreter.js
+ * to have been loaded.
+ *
+ * Example:
+ *
+ *     var result = AutomataCompiler.compile('A = (a -> STOP).\nA ~ A.', {fair: true});
+ *     result.automata[0].name;   // 'A'
+ *     result.operations[0].result; // true
+ *
+ * @public
+ * @class
+ */
+function AutomataCompiler() {
+  /**
+   * The interpreter used to compile code.
+   * Exposed for callers that need the lower level `parse` functions, which throw on errors.
+   *
+   * @type {!object}
+   */
+  this.interpreter = Object.create(AutomataInterpreter);
+  this.interpreter._initialParser = initialPEG.initialParser;
+  this.interpreter._parser = PEG.automataParser;
+
+  // the counters the interpreter numbers the nodes and edges of its graphs with
+  this.interpreter._nodeUidCounter = {value: 0};
+  this.interpreter._edgeUidCounter = {value: 0};
+
+  // the compact clones of the graphs of the automata returned by the last compilation,
+  // so that the automata that have not changed are not cloned again
+  this._compactGraphs = {};
+}
+
+/**
+ * The error thrown by the parser for code that does not match the grammar.
+ */
+AutomataCompiler.SyntaxError = PEG.automataParser.SyntaxError;
+
+/**
+ * The error thrown by the interpreter for code that is syntactically correct but cannot be interpreted.
+ */
+AutomataCompiler.InterpreterException = AutomataInterpreter.InterpreterException;
+
+/**
+ * Compile the code with a new compiler.
+ * Convenient when the code only needs to be compiled once.
+ *
+ * @param {!string} code - The code to compile
+ * @param {object} [options] - The options described by `AutomataCompiler.prototype.compile`
+ * @returns {!object} The result described by `AutomataCompiler.prototype.compile`
+ */
+AutomataCompiler.compile = function(code, options) {
+  return new AutomataCompiler().compile(code, options);
+};
+
+/**
+ * Compile the code.
+ *
+ * The result has the following fields:
+ *   - definitions: a map of every definition's name to its definition (including local definitions)
+ *   - automata: an array of the Automata that should be displayed, whose nodes and edges are
+ *     numbered from 0 in the same way every time the same code is compiled
+ *   - operations: an array of operation results of the form
+ *     `{input, result, position, trace, formula}`, where trace and formula are only present
+ *     when an operation fails. The results of checking assertions follow the operations and are of
+ *     the form `{input, result, position, process, assertion, counterexample}`, where counterexample
+ *     is only present when the process violates the assertion and is of the form
+ *     `{prefix, cycle, prefixEdges, cycleEdges}`, the actions and the ids of the edges in the
+ *     process's automaton performed before and during the cycle that is repeated forever
+ *   - violations: an array of the problems found when checking the processes, such as a process
+ *     composed with a safety property being able to reach ERROR, of the form
+ *     `{type, process, message, trace, cycle, state, position}` where trace is a shortest trace to
+ *     the problem, cycle, which is only present for progress violations, is the actions that can
+ *     be repeated forever once it is reached and state, which is only present for deadlocks, is
+ *     the id of the deadlocked node in the process's automaton
+ *   - diagnostics: an array of errors of the form `{severity, type, message, location}`,
+ *     where type is 'SyntaxError', 'InterpreterException' or 'Error' and location
+ *     is only present for syntax errors
+ *   - changed: the names of the processes that were interpreted
+ *
+ * @param {!string} code - The code to compile
+ * @param {object} [options] - The compilation options
+ * @param {boolean} [options.fair=true] - Determines whether fair or unfair abstraction is performed
+ * @param {boolean} [options.build=true] - Determines whether the automata are built or not
+ * @param {object} [options.limits] - The maximum number of states and transitions a graph can have,
+ *                                    of the form `{states: number, transitions: number}`
+ * @param {object} [options.imports] - A map of names to the Aldebaran (.aut) files to define them as,
+ *                                     the imported automata can be used like any other process
+ * @param {boolean} [options.incremental=false] - If true the processes that have not changed since the
+ *                                                last incremental compilation with this compiler are reused
+ * @param {function} [options.onProgress] - Called with messages describing what is being compiled
+ * @returns {!object} The result of the compilation
+ */
+AutomataCompiler.prototype.compile = function(code, options) {
+  options = options || {};
+  var isFair = options.fair !== false;
+  var build = options.build !== false;
+
+  this.interpreter._reportProgress = options.onProgress || AutomataInterpreter._reportProgress;
+
+  var result;
+  try {
+    if (options.incremental) {
+      result = this.interpreter.parseIncrementally(code, build, isFair, options.limits, options.imports);
+    } else {
+      result = this.interpreter.parse(code, build, isFair, options.limits, options.imports);
+      result.changed = Object.keys(result.definitions).filter(function(name) {
+        return !/[.<]/.test(name);
+      });
+    }
+  } catch (e) {
+    return {
+      definitions: {},
+      automata: [],
+      operations: [],
+      violations: [],
+      diagnostics: [this._constructDiagnostic(e)],
+      changed: []
+    };
+  }
+
+  return {
+    definitions: result.definitions,
+    automata: this._getAutomata(result.definitions),
+    operations: Object.keys(result.operations).map(function(key) {
+      return result.operations[key];
+    }),
+    violations: result.violations,
+    diagnostics: [],
+    changed: result.changed
+  };
+};
+
+/**
+ * Returns the automata that should be displayed from the specified definitions.
+ * The automata's graphs are compact clones of the definitions' graphs (see `Graph.compactClone`),
+ * so the same code always produces the same automata, however it was compiled.
+ * Local definitions (named 'Global.Local'), definitions constructed by the interpreter
+ * (named 'Global<...>' or 'op0<process-0>') and hidden definitions are not displayed.
+ *
+ * @private
+ * @param {!object} definitions - The definitions map created by the interpreter
+ * @returns {!Automaton[]} The automata
+ */
+AutomataCompiler.prototype._getAutomata = function(definitions) {
+  var automata = [];
+  var compactGraphs = {};
+  for (var name in definitions) {
+    var definition = definitions[name];
+    if (definition.graph !== undefined && definition.isVisible !== false && !/[.<]/.test(name)) {
+      var cached = this._compactGraphs[name];
+      compactGraphs[name] = (cached !== undefined && cached.graph === definition.graph) ?
+        cached : {graph: definition.graph, compact: definition.graph.compactClone()};
+      automata.push(new Automaton(name, compactGraphs[name].compact));
+    }
+  }
+
+  this._compactGraphs = compactGraphs;
+  return automata;
+};
+
+/**
+ * Constructs a diagnostic describing the specified error.
+ * Diagnostics only contain data so that they can be posted between threads.
+ *
+ * @private
+ * @param {!object} error - The error thrown while compiling
+ * @returns {!object} The diagnostic
+ */
+AutomataCompiler.prototype._constructDiagnostic = function(error) {
+  var diagnostic = {severity: 'error', type: 'Error', message: error.message};
+  if (error instanceof AutomataCompiler.SyntaxError) {
+    diagnostic.type = 'SyntaxError';
+    diagnostic.location = error.location;
+  } else if (error instanceof AutomataCompiler.InterpreterException) {
+    diagnostic.type = 'InterpreterException';
+  }
+
+  return diagnostic;
+};
@@ -0,0 +1,2068 @@
+// jshint -W098
+/* global _, NodeUid, EdgeUid, GraphLimit, IndexIterator, interpretExpression, abstraction, simplification,
+   determinise, parallelComposition, equivalenceCheck, weakEquivalenceCheck, traceEquivalence, traceRefinement,
+   shortestTrace, shortestTraces, terminalSets, checkLtl */
+/**
+ * Parses and interprets automata code.
+ *
+ * Used through AutomataCompiler (automata-compiler.js), which is the public API
+ * for compiling code. It does not use anything provided by Polymer so that it can
+ * also be run inside of automata-parser-worker.js and node.
+ */
+var AutomataInterpreter = {
+  properties: {
+    /**
+     * The PEGjs parser.
+     * Used to create an object containing the idividually defined
+     * definitions, constants and operations.
+     *
+     * @private
+     */
+    _initialParser: {
+      type: Object,
+      value: initialPEG.initialParser // created in initial-parser.js
+    },
+    /**
+     * The PEGjs parser.
+     * Used to create a parse tree that we can the interpret.
+     *
+     * @private
+     */
+    _parser: {
+      type: Object,
+      value: PEG.automataParser // created in parser.js
+    },
+
+    /**
+     * A Map of automaton names to their definition.
+     *
+     * @private
+     */
+    _definitionsMap: {
+      type: Object
+    },
+
+    /**
+     * The maximum number of states and transitions that any single graph can have.
+     * An object of the form `{states: number, transitions: number}`, missing values are unlimited.
+     *
+     * @private
+     */
+    _limits: {
+      type: Object
+    },
+
+    /**
+     * A map of variable names to their values
+     *
+     * @private
+     */
+    _variableMap: {
+      type: Object
+    },
+
+    /**
+     * A map of the names of the processes being interpreted to their positions in the code
+     *
+     * @private
+     */
+    _positions: {
+      type: Object
+    },
+    /**
+     * Determines whether automata are built or not.
+     *
+     * @private
+     */
+    _buildAutomata: {
+      type: Boolean
+    },
+
+    /**
+     * Determines whether fair or unfair abstraction is performed.
+     *
+     * @private
+     */
+    _isFairAbstraction: {
+      type: Boolean
+    },
+
+    /**
+     * A Map of operations to boolean which determines whether the
+     * operation passed or failed.
+     *
+     * @private
+     */
+    _operationsMap: {
+      type: Object
+    },
+
+    /**
+     * The progress properties being checked, of the form `{name: string, actions: array}`.
+     *
+     * @private
+     */
+    _progressProperties: {
+      type: Array
+    },
+
+    /**
+     * The assertions being checked, of the form `{name: string, formula: object, input: string, position: object}`.
+     *
+     * @private
+     */
+    _assertions: {
+      type: Array
+    },
+
+    /**
+     * Current index for operations map.
+     */
+    _operationsIndex: {
+      type: Number
+    },
+
+    /**
+     * Unique identifier for operations definitions.
+     *
+     * @private
+     */
+    _operationUid: {
+      type: Number
+    },
+
+    /**
+     * A stack of the current composite interpretations in progress.
+     *
+     * @private
+     */
+    _compositeStack: {
+      type: Array
+    },
+
+    /**
+     * The processes and operations interpreted by the last successful call to
+     * `parseIncrementally`, along with the settings they were interpreted with.
+     *
+     * @private
+     */
+    _cache: {
+      type: Object
+    }
+  },
+
+  /**
+   * Stores definition data.
+   *
+   * @private
+   * @class
+   * @property {!Graph} graph            - The definition's graph
+   * @property {!string} type            - The type of this definition
+   * @property {!array} relabel          - An array of javascript objects containing relabelling data
+   * @property {!array} hidden           - An array containing actions to be hidden
+   * @property {!boolean} isVisible      - Determines whether or not the graph is visualised
+   * @property {!boolean} isProperty     - Determines whether or not the definition is a safety property
+   * @property {!array} properties       - The names of the safety properties this definition is composed with
+   * @property {!array} violations       - The violations found when checking this definition
+   * @property {!array} unprocessedNodes - An array of nodes that haven't been processed
+   * @property {!number} rootId          - The id to use for the root node of this definition's graph
+   */
+  _Definition: function() {
+    this.graph = undefined;
+    this.label = undefined;
+    this.relabel = undefined;
+    this.hidden = undefined;
+    this.isVisible = undefined;
+    this.isProperty = undefined;
+    this.properties = [];
+    this.violations = [];
+    this.unprocessedNodes = [];
+    this._rootId = undefined;
+    // define the getter and setter for rootId
+    // (ideally this should be done outside of this class definition)
+    Object.defineProperty(this, 'rootId', {
+      /**
+       * Get the graph's root id.
+       * If the graph hasn't been made yet, get the root id it will use.
+       *
+       * @returns {number} The root id
+       */
+      get: function() {
+        // if there is a graph and it has a root
+        if (this.graph && this.graph.root) {
+          return this.graph.root.id;  // return the root's ids
+        }
+        return this._rootId;  // else return what the graph's root will be
+      },
+      /**
+       * Set the graph's root id.
+       * If the graph hasn't been made yet, set the id the graph will use for its root.
+       *
+       * @param {!number} val - The new id for the root
+       * @returns {number} The new root id
+       */
+      set: function(val) {
+        // if there is a graph and it has a root
+        if (this.graph && this.graph.root) {
+          // set and return the new id for the root
+          this.graph.root.id = val;
+          return this.graph.root.id;
+        }
+        // else set and return what the graph's root will be
+        this._rootId = val;
+        return this._rootId;
+      }
+    });
+  },
+
+  /**
+   * @class
+   * @param {!string} message - The error message
+   */
+  InterpreterException: function(message) {
+    this.message = message;
+    this.toString = function() {
+      return 'InterpreterException: ' + this.message;
+    };
+  },
+  /**
+   *
+   */
+  initialParse: function(code) {
+    this._resetInterpreter();
+    return this._initialParser.parse(code);
+  },
+  /**
+   * Parse the code and return the automata it defines.
+   *
+   * @param {!string} code - The code to parse
+   * @param {!boolean} isFair - Determines whether fair or unfair abstraction is performed
+   * @param {object} [limits] - The maximum number of states and transitions a graph can have
+   * @param {object} [imports] - A map of names to the Aldebaran (.aut) files to define them as
+   * @returns {!Automaton[]} Automata
+   */
+  parse: function(code, build, isFair, limits, imports) {
+    this._resetInterpreter();
+    this._useUidCounters();
+    this._buildAutomata = build;
+    this._isFairAbstraction = isFair;
+    this._limits = limits || {};
+    this._reportProgress('Parsing...');
+    this._definitionsMap = this._constructImportedDefinitions(imports);
+    var pt = this._parser.parse(code);
+    return this._interpretParseTree(pt);
+  },
+
+  parseDefinition: function(code, definitionMap, build, isFair, limits) {
+    this._definitionsMap = definitionMap;
+    this._buildAutomata = build;
+    this._isFairAbstraction = isFair;
+    this._limits = limits || {};
+    var parseTree = this._parser.parse(code);
+    return this._interpretParseTree(parseTree).definitions;
+  },
+
+  /**
+   * Parse the operations in the code using the definitions in the specified definition map.
+   *
+   * @param {!string} code - Code containing only operations
+   * @param {!object} definitionMap - The definitions the operations are performed on
+   * @param {!boolean} isFair - Determines whether fair or unfair abstraction is performed
+   * @param {object} [limits] - The maximum number of states and transitions a graph can have
+   * @returns {!object} A map of the operations' results
+   */
+  parseOperations: function(code, definitionMap, isFair, limits) {
+    this._definitionsMap = definitionMap;
+    this._operationsMap = {};
+    this._operationsIndex = 0;
+    this._isFairAbstraction = isFair;
+    this._limits = limits || {};
+    var parseTree = this._parser.parse(code);
+    return this._interpretParseTree(parseTree).operations;
+  },
+
+  /**
+   * Parse the progress properties and assertions in the code and check them against the definitions
+   * in the specified definition map.
+   *
+   * @param {!string} code - Code containing only progress properties and assertions
+   * @param {!object} definitionMap - The definitions the properties are checked against
+   * @param {!boolean} isFair - Determines whether fair or unfair abstraction is performed
+   * @param {object} [limits] - The maximum number of states and transitions a graph can have
+   * @returns {!object} The results of the assertions and the violations found in the definitions,
+   *                    including those of the progress properties
+   */
+  parseProperties: function(code, definitionMap, isFair, limits) {
+    this._definitionsMap = definitionMap;
+    this._operationsMap = {};
+    this._operationsIndex = 0;
+    this._progressProperties = [];
+    this._assertions = [];
+    this._isFairAbstraction = isFair;
+    this._limits = limits || {};
+    var parseTree = this._parser.parse(code);
+    var result = this._interpretParseTree(parseTree);
+    return {operations: result.operations, violations: result.violations};
+  },
+
+  /**
+   * Parse the code, reusing the definitions and operation results from the last call
+   * to this function for the processes and operations that have not changed since then.
+   * A process is reinterpreted if its text or any of the processes it depends on have changed.
+   *
+   * Everything is parsed again if nothing has been cached or if the code contains a syntax error,
+   * so that errors are reported at their position in the code.
+   *
+   * @param {!string} code - The code to parse
+   * @param {!boolean} build - Determines whether automata are built or not
+   * @param {!boolean} isFair - Determines whether fair or unfair abstraction is performed
+   * @param {object} [limits] - The maximum number of states and transitions a graph can have
+   * @param {object} [imports] - A map of names to the Aldebaran (.aut) files to define them as
+   * @returns {!object} The definitions, operations and violations, as well as an array of the names
+   *                    of the processes that were (re)interpreted
+   */
+  parseIncrementally: function(code, build, isFair, limits, imports) {
+    this._useUidCounters();
+    var settings = JSON.stringify([build, isFair, limits, imports]);
+    var cache = this._cache;
+    this._cache = undefined; // only the results of successful parses are cached
+
+    var initial;
+    try {
+      initial = this.initialParse(code);
+    } catch (e) {
+      return this.parse(code, build, isFair, limits, imports);
+    }
+
+    if (cache === undefined || cache.settings !== settings) {
+      return this._parseAndCache(code, initial, settings, build, isFair, limits, imports);
+    }
+
+    var processes = {};
+    var changed = [];
+    var results = [];
+    var isUnchanged = function(dependency) {
+      dependency = dependency.split('[')[0];
+      // the imports have not changed, otherwise the settings would have changed
+      return (processes[dependency] !== undefined && changed.indexOf(dependency) === -1) ||
+        (imports !== undefined && imports[dependency] !== undefined);
+    };
+
+    this._buildAutomata = build;
+    var definitions;
+    var properties;
+    try {
+      definitions = this._constructImportedDefinitions(imports);
+      for (var name in initial.processes) {
+        var process = initial.processes[name];
+        var cached = cache.processes[name];
+        if (cached !== undefined && cached.process === process.process &&
+            (process.dependencies || []).every(isUnchanged)) {
+          _.assign(definitions, cached.definitions);
+        } else {
+          this.parseDefinition(process.process, definitions, build, isFair, limits);
+          cached = {process: process.process, definitions: this._getDefinitionsOf(name, definitions)};
+          changed.push(name);
+        }
+
+        processes[name] = cached;
+      }
+
+      // only perform the operations that have not been cached
+      var uncached = [];
+      initial.operations.forEach(function(operation, i) {
+        var result = cache.operations[operation.operation];
+        if (result !== undefined && (operation.dependencies || []).every(isUnchanged)) {
+          results[i] = result;
+        } else {
+          uncached.push(i);
+        }
+      });
+
+      if (uncached.length > 0) {
+        var operationsCode = uncached.map(function(i) {
+          return initial.operations[i].operation;
+        }).join('\n');
+        var operations = this.parseOperations(operationsCode, _.clone(definitions), isFair, limits);
+        uncached.forEach(function(i, j) {
+          results[i] = operations[j];
+        });
+      }
+
+      // progress properties and assertions are checked against every definition so they are never cached
+      var propertiesCode = _.pluck(initial.progress, 'progress').concat(_.pluck(initial.assertions, 'assertion'));
+      properties = this.parseProperties(propertiesCode.join('\n'), definitions, isFair, limits);
+    } catch (e) {
+      if (e instanceof this._parser.SyntaxError) {
+        return this.parse(code, build, isFair, limits, imports);
+      }
+      throw e;
+    }
+
+    return this._cacheResults(code, initial, settings, definitions, processes, results, properties, changed);
+  },
+
+  /**
+   * Parse all of the code and cache the results for `parseIncrementally`.
+   *
+   * @private
+   * @param {!string} code - The code to parse
+   * @param {!object} initial - The result of the initial parse of the code
+   * @param {!string} settings - The settings the code is parsed with
+   * @param {!boolean} build - Determines whether automata are built or not
+   * @param {!boolean} isFair - Determines whether fair or unfair abstraction is performed
+   * @param {object} [limits] - The maximum number of states and transitions a graph can have
+   * @param {object} [imports] - A map of names to the Aldebaran (.aut) files to define them as
+   * @returns {!object} The definitions, operations and names of the processes interpreted
+   */
+  _parseAndCache: function(code, initial, settings, build, isFair, limits, imports) {
+    var result = this.parse(code, build, isFair, limits, imports);
+
+    var processes = {};
+    for (var name in initial.processes) {
+      processes[name] = {
+        process: initial.processes[name].process,
+        definitions: this._getDefinitionsOf(name, result.definitions)
+      };
+    }
+
+    var results = initial.operations.map(function(operation, i) {
+      return result.operations[i];
+    });
+
+    // the results of the assertions follow the results of the operations
+    var properties = {operations: {}, violations: result.violations};
+    for (var i = initial.operations.length; result.operations[i] !== undefined; i++) {
+      properties.operations[i - initial.operations.length] = result.operations[i];
+    }
+
+    return this._cacheResults(code, initial, settings, result.definitions, processes, results, properties,
+      Object.keys(initial.processes).concat(Object.keys(imports || {})));
+  },
+
+  /**
+   * Cache the processes and operation results for the next call to `parseIncrementally`
+   * and construct the object it returns.
+   *
+   * @private
+   * @param {!string} code - The code that was parsed
+   * @param {!object} initial - The result of the initial parse of the code
+   * @param {!string} settings - The settings the code was parsed with
+   * @param {!object} definitions - The definitions map
+   * @param {!object} processes - A map of process names to their text and definitions
+   * @param {!array} results - The results of each operation in the code
+   * @param {!object} properties - The results of the assertions and the violations found in the definitions
+   * @param {!array} changed - The names of the processes that were interpreted
+   * @returns {!object} The definitions, operations, violations and names of the processes interpreted
+   */
+  _cacheResults: function(code, initial, settings, definitions, processes, results, properties, changed) {
+    var cache = {settings: settings, processes: processes, operations: {}};
+    var operations = {};
+    initial.operations.forEach(function(operation, i) {
+      cache.operations[operation.operation] = results[i];
+
+      // use the position of the operation in this code, not where it was when it was cached
+      var position = operation.position;
+      operations[i] = _.assign({}, results[i], {
+        input: code.slice(position.start.offset, position.end.offset),
+        position: position
+      });
+    });
+
+    // use the position of each assertion in this code for its results
+    var assertions = _.indexBy(initial.assertions, 'name');
+    _.values(properties.operations).forEach(function(result, i) {
+      operations[initial.operations.length + i] = _.assign({}, result, {
+        position: assertions[result.assertion].position
+      });
+    });
+
+    // use the position of each process in this code for its violations
+    var violations = properties.violations.map(function(violation) {
+      var process = initial.processes[violation.process];
+      return (process !== undefined) ? _.assign({}, violation, {position: process.position}) : violation;
+    });
+
+    this._cache = cache;
+    return {definitions: definitions, operations: operations, violations: violations, changed: changed};
+  },
+
+  /**
+   * Returns the definitions in the specified definition map that were created for the specified
+   * process. These are the process's own definition, its local definitions (named 'Process.Local')
+   * and the definitions constructed while interpreting it (named 'Process<...>').
+   *
+   * @private
+   * @param {!string} name - The name of the process
+   * @param {!object} definitionMap - The definition map
+   * @returns {!object} A definition map only containing the process's definitions
+   */
+  _getDefinitionsOf: function(name, definitionMap) {
+    var definitions = {};
+    for (var key in definitionMap) {
+      if (key === name || key.indexOf(name + '.') === 0 || key.indexOf(name + '<') === 0) {
+        definitions[key] = definitionMap[key];
+      }
+    }
+
+    return definitions;
+  },
+
+  /**
+   * Constructs a definition map containing a definition for each of the imported automata.
+   *
+   * @private
+   * @param {object} [imports] - A map of names to the Aldebaran (.aut) files to define them as
+   * @returns {!object} The definition map
+   */
+  _constructImportedDefinitions: function(imports) {
+    var definitions = {};
+    for (var name in imports) {
+      var definition = new this._Definition();
+      try {
+        // importFromAldebaran function is defined in 'aldebaran.js' in scripts folder
+        definition.graph = importFromAldebaran(imports[name]);
+      } catch (e) {
+        if (e instanceof Graph.Exception) {
+          throw new this.InterpreterException('could not import "' + name + '", ' + e.message);
+        }
+        throw e;
+      }
+
+      definition.type = 'import';
+      definition.isVisible = true;
+      definitions[name] = definition;
+    }
+
+    return definitions;
+  },
+
+  /**
+   * Called with a message describing what the interpreter is currently doing.
+   * Does nothing by default, AutomataCompiler overrides this with its `onProgress` option.
+   *
+   * @protected
+   * @param {!string} message - the progress message
+   */
+  _reportProgress: function(message) {
+  },
+
+  /**
+   * Numbers the nodes and edges of the graphs constructed from now on with the counters owned by
+   * this interpreter. The counters are never reset, as the graphs cached by `parseIncrementally`
+   * are combined with the graphs constructed later, and other interpreters do not use them, so the
+   * ids of the graphs this interpreter constructs never collide with each other.
+   *
+   * @private
+   */
+  _useUidCounters: function() {
+    NodeUid.counter = this._nodeUidCounter;
+    EdgeUid.counter = this._edgeUidCounter;
+  },
+
+  /**
+   * Reset the interpreter (reinitialise).
+   *
+   * @private
+   */
+  _resetInterpreter: function() {
+    // call the private setters for these fields
+    // (they're readOnly so they can't simply be set with '=')
+    this._definitionsMap = {};
+    this._operationsMap = {};
+    this._progressProperties = [];
+    this._assertions = [];
+    this._operationsIndex = 0;
+    this._operationUid = 0;
+    this._compositeStack = [];
+  },
+
+  /**
+   * Interpret a parse tree generated by the parser and create an array of automata from it.
+   *
+   * @private
+   * @param {!object[]} parseTree - A parse tree made by the parser (an array of parse tree model nodes)
+   * @returns {!Automaton[]} Automata
+   */
+  _interpretParseTree: function(parseTree) {
+    this._variableMap = parseTree.variableMap;
+    this._positions = parseTree.positions;
+
+    // limit the size of the graphs constructed while interpreting
+    GraphLimit.nodes = this._limits.states || Infinity;
+    GraphLimit.edges = this._limits.transitions || Infinity;
+    try {
+      parseTree.processes.forEach(function(model) {
+        try {
+          if (model.type === 'model') {
+            this._interpretDefinitions(model);
+          } else if (model.type === 'operation') {
+            this._interpretOperation(model);
+          } else if (model.type === 'progress') {
+            this._interpretProgress(model);
+          } else if (model.type === 'assertion') {
+            this._interpretAssertion(model);
+          } else {
+            console.error('Trying to interpret invalid model type "' + model.type + '"');
+          }
+        } catch (e) {
+          if (e instanceof Graph.LimitException) {
+            throw this._constructLimitException(e, model);
+          }
+          throw e;
+        }
+      }.bind(this));
+
+      this._checkAssertions(this._definitionsMap);
+    } finally {
+      GraphLimit.reset();
+    }
+
+    // only relabel nodes if live building is active
+    if (this._buildAutomata) {
+      this._relabelNodes();
+    }
+
+    return {
+      definitions: this._definitionsMap,
+      operations: this._operationsMap,
+      violations: this._getViolations(this._definitionsMap).concat(this._checkProgress(this._definitionsMap))
+    };
+  },
+
+  /**
+   * Constructs the InterpreterException thrown when a graph constructed for the specified
+   * model reaches the state or transition limit.
+   *
+   * @private
+   * @param {!Graph.LimitException} e - the exception thrown by the graph
+   * @param {!object} model - the model being interpreted when the limit was reached
+   * @returns {!InterpreterException} the exception
+   */
+  _constructLimitException: function(e, model) {
+    var limit = e.isEdgeLimit ? this._limits.transitions + ' transitions' : this._limits.states + ' states';
+    var action = (model.type === 'model') ?
+      'building "' + this._getNameFromPTNode(model.definitions[0].name) + '"' :
+      'checking "' + model.input + '"';
+    return new this.InterpreterException(
+      'the limit of ' + limit + ' was exceeded while ' + action + ' (' + e.nodeCount + ' states reached).');
+  },
+
+  /**
+   * Interpret the definitions defined in the specified model.
+   *
+   * @private
+   * @param {!object[]} model - contains an array of definitions as well as any relabelling and hiding defined
+   */
+  _interpretDefinitions: function(model) {
+    var globalName = this._getNameFromPTNode(model.definitions[0].name);
+    this._initialiseDefinitions(model.definitions, globalName);
+
+    // only interpret definitions if live build is active
+    if (this._buildAutomata) {
+      this._reportProgress('Building ' + globalName + '...');
+      model.definitions.forEach(function(definition, i) {
+        var variableMap = this._variableMap;
+
+        // check if this definition is indexed
+        if (definition.name.type === 'index') {
+          this._interpretIndexedDefinition(definition.name , globalName, definition, variableMap);
+        } else {
+          var name = this._getNameFromPTNode(definition.name);
+          name = (i !== 0) ? globalName + '.' + name : name;
+          this._interpretDefinition(name, globalName, definition, variableMap);
+        }
+      }.bind(this));
+
+      // process the global definition
+      this._processDefinition(globalName, model);
+      if (this._definitionsMap[globalName].isProperty) {
+        this._processProperty(globalName);
+      }
+      this._checkProperties(globalName, model);
+      this._checkDeadlocks(globalName);
+    }
+  },
+
+  /**
+   * Initialises all of the definitions defined within the specified definition to the
+   * definitions map. This is to help in determining whether a reference is either
+   * global or local.
+   *
+   * @private
+   * @param {!array} definitions - array of definitions
+   * @param {!string} globalName - the global name for the specified definitions
+   */
+  _initialiseDefinitions: function(definitions, globalName) {
+    // check that there is not already a definition with the specified name
+    if (this._definitionsMap[globalName] !== undefined) {
+      throw new this.InterpreterException('process \'' + globalName + '\' defined more that once.');
+    }
+
+    for (var i = 1; i < definitions.length; i++) {
+      if (definitions[i].name.type === 'index') {
+        this._initialiseIndexedDefinitions(definitions[i].name, globalName, {});
+      } else {
+        var name = this._getNameFromPTNode(definitions[i].name);
+        name = globalName + '.' + name;
+        this._definitionsMap[name] = new this._Definition();
+      }
+    }
+
+    this._definitionsMap[globalName] = new this._Definition();
+  },
+  /**
+   *
+   */
+  _initialiseIndexedDefinitions: function(ptNode, globalName, variableMap) {
+    if (ptNode.type === 'name') {
+      var name = globalName + '.' + this._processVariables(ptNode.name, variableMap);
+      this._definitionsMap[name] = new this._Definition();
+    } else {
+      var iterator = this._constructIndexIterator(ptNode.index, variableMap);
+      while (iterator.hasNext) {
+        var element = iterator.next;
+        variableMap[ptNode.variable] = element;
+        this._initialiseIndexedDefinitions(ptNode.process, globalName, variableMap);
+      }
+    }
+  },
+  /**
+   *
+   */
+  _interpretDefinition: function(name, globalName, definition, variableMap) {
+    var definitionMap = this._definitionsMap;
+    definitionMap[name] = new this._Definition();
+    definitionMap[name].graph = new Graph();
+    definitionMap[name].relabel = definition.relabel;
+    definitionMap[name].hidden = definition.hidden;
+    definitionMap[name].isVisible = definition.isVisible;
+    definitionMap[name].isProperty = definition.isProperty;
+
+    var rootId = definitionMap[name].rootId;
+    rootId = (rootId === undefined) ? NodeUid.next : rootId;
+    var root = definitionMap[name].graph.addNode(rootId);
+    root.addMetaData('startNode', true);
+
+    var referenceMap = {};
+    referenceMap[name] = root;
+    this._interpretProcess(definition.process, root, definitionMap, name, globalName, referenceMap, variableMap);
+  },
+  /**
+   *
+   */
+  _interpretIndexedDefinition: function(ptNode, globalName, definition, variableMap) {
+    if (ptNode.type === 'name') {
+      var name = globalName + '.' + this._processVariables(ptNode.name, variableMap);
+      this._interpretDefinition(name, globalName, definition, variableMap);
+    } else {
+      var iterator = this._constructIndexIterator(ptNode.index, variableMap);
+      while (iterator.hasNext) {
+        var element = iterator.next;
+        variableMap[ptNode.variable] = element;
+        this._interpretIndexedDefinition(ptNode.process, globalName, definition, variableMap);
+      }
+    }
+  },
+  /**
+   * Interprets the operation defined in the specified model.
+   *
+   * @private
+   * @param {!object} model - contains the operation along with the definitions to perform the operation on
+   */
+  _interpretOperation: function(model) {
+    // construct definitions for this operation
+    var operation = model.operator;
+    var definitionMap = this._definitionsMap;
+    var processes = [model.process1, model.process2];
+    var defNames = [];
+    var defName = 'op' + this._nextOperationUid();
+    this._reportProgress('Checking ' + model.input);
+
+    for (var i = 0; i < 2; i++) {
+      var name = defName + '<process-' + i + '>';
+      this._constructDefinition(name);
+      this._interpretProcess(processes[i], definitionMap[name].graph.root, definitionMap, name, name, {}, {});
+      defNames.push(this._popFromCompositeStack());
+      this._processDefinition(name);
+    }
+
+    this._processOperation(operation, this._definitionsMap, defNames[0], defNames[1], model.input, model.isNegated, model.position);
+  },
+
+  /**
+   * Interprets the progress property defined in the specified model. The progress property is
+   * checked against the definitions once all of them have been interpreted.
+   *
+   * @private
+   * @param {!object} model - contains the name of the progress property and its set of actions
+   */
+  _interpretProgress: function(model) {
+    var name = this._getNameFromPTNode(model.name);
+    if (_.some(this._progressProperties, {name: name})) {
+      throw new this.InterpreterException('progress property \'' + name + '\' defined more than once.');
+    }
+
+    this._progressProperties.push({name: name, actions: this._processSet(model.set.set)});
+  },
+
+  /**
+   * Interprets the assertion defined in the specified model. The assertion is checked against
+   * the definitions once all of them have been interpreted.
+   *
+   * @private
+   * @param {!object} model - contains the name of the assertion and its formula
+   */
+  _interpretAssertion: function(model) {
+    var name = this._getNameFromPTNode(model.name);
+    if (_.some(this._assertions, {name: name})) {
+      throw new this.InterpreterException('assertion \'' + name + '\' defined more than once.');
+    }
+
+    this._assertions.push({
+      name: name,
+      formula: this._processFormula(model.formula),
+      input: model.input,
+      position: model.position
+    });
+  },
+
+  /**
+   * Interpret a parse tree process node.
+   *
+   * @private
+   * @param {!object} process            - A parse tree process node
+   * @param {!Graph.Node} extendtionNode - The node in the graph to build on from
+   * @param {!object} definitionMap      - The definition map being used
+   * @param {!string} defName            - The name of the current definition
+   * @param {!object} referenceMap       - The reference map that store references already known about
+   */
+  _interpretProcess: function(process, extendtionNode, definitionNode, defName, globalName, referenceMap, variableMap) {
+    this._interpretLocalProcess(process, extendtionNode, definitionNode, defName, globalName, referenceMap, variableMap);
+    this._pushToCompositeStack(defName);
+  },
+
+  /**
+   * Helper function for interpretProcess which interprets a local process.
+   *
+   * @private
+   * @param {!object} process            - A parse tree process node
+   * @param {!Graph.Node} extendtionNode - The node in the graph to build on from
+   * @param {!object} definitionMap      - The definition map being used
+   * @param {!string} defName            - The name of the current definition
+   * @param {!object} referenceMap       - The reference map that store references already known about
+   */
+  _interpretLocalProcess: function(process, extendtionNode, definitionMap, defName, globalName, referenceMap, variableMap) {
+    switch (process.type) {
+      case 'definition':
+        this._interpretInternalDefinition(process, extendtionNode, definitionMap, defName, globalName, referenceMap, variableMap);
+        break;
+      case 'sequence':
+        this._interpretSequence(process, extendtionNode, definitionMap, defName, globalName, referenceMap, variableMap);
+        break;
+      case 'choice':
+        this._interpretChoice(process, extendtionNode, definitionMap, defName, globalName, referenceMap, variableMap);
+        break;
+      case 'if-statement':
+        this._interpretIfStatement(process, extendtionNode, definitionMap, defName, globalName, referenceMap, variableMap);
+        break;
+      case 'index':
+        this._processIndex(process, extendtionNode, definitionMap, defName, globalName, referenceMap, variableMap);
+        break;
+      case 'parallel':
+        this._interpretParallel(process, extendtionNode, definitionMap, defName, globalName, referenceMap, variableMap);
+        break;
+      case 'composite':
+        this._interpretComposite(process, extendtionNode, definitionMap, defName, globalName, referenceMap, variableMap);
+        break;
+      case 'name':
+        this._interpretName(process, extendtionNode, definitionMap, defName, globalName, referenceMap, variableMap);
+        break;
+      case 'function':
+        this._interpretFunction(process, extendtionNode, definitionMap, defName, globalName, referenceMap, variableMap);
+        break;
+      case 'stop':
+        this._interpretStop(process, extendtionNode, definitionMap, defName, globalName, referenceMap, variableMap);
+        break;
+      case 'error':
+        this._interpretError(process, extendtionNode, definitionMap, defName, globalName, referenceMap, variableMap);
+        break;
+      default:
+        console.error('Trying to interpret invalid process type "' + process.type + '"');
+        break;
+    }
+  },
+
+  /**
+   * Interpret a parse tree definition node.
+   *
+   * @private
+   * @param {!object} definition         - A parse tree definition node
+   * @param {!Graph.Node} extendtionNode - The node in the graph to build on from
+   * @param {!object} definitionMap      - The definition map being used
+   * @param {!string} defName            - The name of the current definition
+   * @param {!object} referenceMap       - The reference map that store references already known about
+   */
+  _interpretInternalDefinition: function(definition, extendtionNode, definitionMap, defName, globalName, referenceMap, variableMap) {
+    var name = this._getNameFromPTNode(definition);
+    name = (name !== undefined) ? defName + '.' + name : defName + '<internal-process>';
+    this._interpretDefinition(name, defName, definition, variableMap);
+    this._processDefinition(name);
+  },
+
+  /**
+   * Interpret a parse tree sequence node.
+   *
+   * @private
+   * @param {!object} sequence           - A parse tree sequence node
+   * @param {!Graph.Node} extendtionNode - The node in the graph to build on from
+   * @param {!object} definitionMap      - The definition map being used
+   * @param {!string} defName            - The name of the current definition
+   * @param {!object} referenceMap       - The reference map that store references already known about
+   */
+  _interpretSequence: function(sequence, extendtionNode, definitionMap, defName, globalName, referenceMap, variableMap) {
+    var action = this._processVariables(sequence.from.action, variableMap);
+    var graph = definitionMap[defName].graph;
+    var node = graph.addNode(NodeUid.next);
+    graph.addEdge(EdgeUid.next, extendtionNode, node, action);
+    this._interpretLocalProcess(sequence.to, node, definitionMap, defName, globalName, referenceMap, variableMap);
+  },
+
+  /**
+   * Interpret a parse tree choice node.
+   *
+   * @private
+   * @param {!object} choice             - A parse tree choice node
+   * @param {!Graph.Node} extendtionNode - The node in the graph to build on from
+   * @param {!object} definitionMap      - The definition map being used
+   * @param {!string} defName            - The name of the current definition
+   * @param {!object} referenceMap       - The reference map that store references already known about
+   */
+  _interpretChoice: function(choice, extendtionNode, definitionMap, defName, globalName, referenceMap, variableMap) {
+    this._interpretLocalProcess(choice.option1, extendtionNode, definitionMap, defName, globalName, referenceMap, variableMap);
+    this._interpretLocalProcess(choice.option2, extendtionNode, definitionMap, defName, globalName, referenceMap, variableMap);
+  },
+
+  /**
+   * Interpret a parse tree if statement node.
+   *
+   * @private
+   * @param {!object} ifNode             - A parse tree if statement node
+   * @param {!Graph.Node} extendtionNode - The node in the graph to build on from
+   * @param {!object} definitionMap      - The definition map being used
+   * @param {!string} defName            - The name of the current definition
+   * @param {!object} referenceMap       - The reference map that store references already known about
+   */
+  _interpretIfStatement: function(ifNode, extendtionNode, definitionMap, defName, globalName, referenceMap, variableMap) {
+    var guard = interpretExpression(ifNode.guard, variableMap, true);
+    // if the guard is valid then process the then statement
+    if (guard) {
+      this._interpretLocalProcess(ifNode.thenProcess, extendtionNode, definitionMap, defName, globalName, referenceMap, variableMap);
+    }
+    // otherwise check if an else statement was declared
+    else if (ifNode.elseProcess !== undefined) {
+      this._interpretLocalProcess(ifNode.elseProcess, extendtionNode, definitionMap, defName, globalName, referenceMap, variableMap);
+    } else {
+      // otherwise set extendtionNode as a terminal
+      extendtionNode.addMetaData('isTerminal', 'stop');
+    }
+  },
+  /**
+   * Interpret a parse tree index node.
+   *
+   * @private
+   * @param {!object} index              - A parse tree index node
+   * @param {!Graph.Node} extendtionNode - The node in the graph to build on from
+   * @param {!object} definitionMap      - The definition map being used
+   * @param {!string} defName            - The name of the current definition
+   * @param {!object} referenceMap       - The reference map that store references already known about
+   */
+  _processIndex: function(index, extendtionNode, definitionMap, defName, globalName, referenceMap, variableMap) {
+    var iterator = this._constructIndexIterator(index.index, variableMap);
+    while (iterator.hasNext) {
+      var element = iterator.next;
+      variableMap[index.variable] = element;
+      this._interpretLocalProcess(index.process, extendtionNode, definitionMap, defName, globalName, referenceMap, variableMap);
+    }
+  },
+  /**
+   * Interpret a parse tree parallel node.
+   *
+   * @private
+   * @param {!object} parallel           - A parse tree parallel node
+   * @param {!Graph.Node} extendtionNode - The node in the graph to build on from
+   * @param {!object} definitionMap      - The definition map being used
+   * @param {!string} defName            - The name of the current definition
+   * @param {!object} referenceMap       - The reference map that store references already known about
+   */
+  _interpretParallel: function(parallel, extendtionNode, definitionMap, defName, globalName, referenceMap, variableMap) {
+    var processes = [parallel.process1, parallel.process2];
+    var graphs = [];
+    for (var i = 0; i < processes.length; i++) {
+      var name = defName + '<local-process-' + i + '>';
+      this._constructDefinition(name);
+      this._interpretProcess(processes[i], definitionMap[name].graph.root, definitionMap, name, globalName, referenceMap, variableMap);
+      name = this._popFromCompositeStack();
+      this._processDefinition(name);
+      graphs.push(definitionMap[name].graph);
+    }
+
+    // parallel composition function is defined in 'parallel-composition.js' in the scripts folder
+    var graph = parallelComposition(graphs[0], graphs[1]);
+    definitionMap[defName].graph = graph;
+    definitionMap[defName].graph.root = graph.root;
+  },
+
+  /**
+   * Interpret a parse tree composite node.
+   *
+   * @private
+   * @param {!object} composite          - A parse tree composite node
+   * @param {!Graph.Node} extendtionNode - The node in the graph to build on from
+   * @param {!object} definitionMap      - The definition map being used
+   * @param {!string} defName            - The name of the current definition
+   * @param {!object} referenceMap       - The reference map that store references already known about
+   */
+  _interpretComposite: function(composite, extendtionNode, definitionMap, defName, globalName, referenceMap, variableMap) {
+    var name = defName + '<composite>';
+    this._constructDefinition(name);
+    this._interpretProcess(composite.composite, definitionMap[name].graph.root, definitionMap, name, globalName, {}, variableMap);
+    name = this._popFromCompositeStack();
+    this._processReferences(name);
+    if (name === undefined) {
+      name = defName;
+    }
+
+    // check if a label has been defined
+    if (composite.label !== undefined) {
+      var label = this._processVariables(composite.label.action, variableMap);
+
+      // relabel all the edges in the graph
+      definitionMap[name].graph.edges.forEach(function(edge) {
+        edge.label = label + '.' + edge.label;
+      });
+    }
+
+    // check if a relabelling has been defined
+    if (composite.relabel !== undefined) {
+      this._processRelabelling(name, composite.relabel, variableMap);
+    }
+
+    if (name !== undefined && name !== defName) {
+      // the node the composite is built from does nothing else, so it has stopped and the states of
+      // the composition have stopped whenever the states of the composite have
+      extendtionNode.addMetaData('isTerminal', 'stop');
+
+      // parallel composition function is defined in 'parallel-composition.js' in the scripts folder
+      var graph = parallelComposition(definitionMap[name].graph, definitionMap[defName].graph);
+      definitionMap[defName].graph = graph;
+      definitionMap[defName].graph.root = graph.root;
+    }
+  },
+
+  /**
+   * Interpret a parse tree name node.
+   *
+   * @private
+   * @param {!object} ptNode             - A parse tree name node
+   * @param {!Graph.Node} extendtionNode - The node in the graph to build on from
+   * @param {!object} definitionMap      - The definition map being used
+   * @param {!string} defName            - The name of the current definition
+   * @param {!object} referenceMap       - The reference map that store references already known about
+   */
+  _interpretName: function(ptNode, extendtionNode, definitionMap, defName, globalName, referenceMap, variableMap) {
+    var references = this._getNameFromPTNode(ptNode);        // get what the extendtionNode should be referencing
+    references = this._processVariables(references, variableMap);
+
+    // check if this is a local reference
+    var localReference = globalName + '.' + references;
+    if (definitionMap[localReference] !== undefined) {
+      references = localReference;
+    }
+
+    this._interpretReference(ptNode, extendtionNode, definitionMap, defName, globalName, referenceMap, variableMap, references);
+  },
+
+  /**
+   * Interprets a reference for either a name or labelled name node.
+   *
+   * @private
+   * @param {!object} ptNode             - A parse tree name node
+   * @param {!Graph.Node} extendtionNode - The node in the graph to build on from
+   * @param {!object} definitionMap      - The definition map being used
+   * @param {!string} defName            - The name of the current definition
+   * @param {!object} referenceMap       - The reference map that store references already known about
+   * @param {!string} references         - The reference to interpret
+   */
+  _interpretReference: function(ptNode, extendtionNode, definitionMap, defName, globalName, referenceMap, variableMap, references) {
+    // if there is no record of this reference yet
+    if (referenceMap[references] === undefined) {
+      var metaData = extendtionNode.getMetaData('references');
+      if (metaData === undefined) {
+        extendtionNode.addMetaData('references', [references]);
+      } else {
+        extendtionNode.addMetaData('references', metaData.concat(references));
+      }
+      referenceMap[references] = extendtionNode;                       // create a reference
+      extendtionNode.addMetaData('referenceUnprocessed', true);      // mark this reference as unprocessed
+      definitionMap[defName].unprocessedNodes.push(extendtionNode);   // put it in the array of unprocessed references
+      // if there is no definition for this reference
+      if (definitionMap[references] === undefined || definitionMap[references].graph === undefined) {
+        definitionMap[references] = new this._Definition();    // create one
+        definitionMap[references].rootId = extendtionNode.id;  // set what the root id should be for its graph
+      }
+      // if there is a definition for this reference
+      else {
+        extendtionNode.id = definitionMap[references].rootId;  // change the extendtionNode to use the right id
+      }
+    }
+    // if there is a record of this reference
+    else {
+      definitionMap[defName].graph.combineWith(referenceMap[references].graph);
+      definitionMap[defName].graph.mergeNodes([referenceMap[references].id, extendtionNode.id]);
+    }
+  },
+
+  /**
+   * Interprets a parse tree abstraction node.
+   *
+   * @private
+   * @param {!object} ptNode             - A parse tree abstraction node
+   * @param {!Graph.Node} extendtionNode - The node in the graph to build on from
+   * @param {!object} definitionMap      - The definition map being used
+   * @param {!string} defName            - The name of the current definition
+   * @param {!object} referenceMap       - The reference map that store references already known about
+   */
+  _interpretFunction: function(ptNode, extendtionNode, definitionMap, defName, globalName, referenceMap, variableMap) {
+    this._interpretProcess(ptNode.process, extendtionNode, definitionMap, defName, defName, referenceMap, variableMap);
+
+    var name = this._popFromCompositeStack();
+    if (name === undefined) {
+      name = defName;
+    } else {
+      this._processReferences(defName);
+    }
+
+    // check if there is any edges to relabel
+    if (ptNode.relabel !== undefined) {
+      this._processRelabelling(name, ptNode.relabel);
+    }
+
+    // check if there is any edges to hide
+    if (ptNode.hidden !== undefined) {
+      this._processHiding(name, ptNode.hidden);
+    }
+
+    var graph = definitionMap[name].graph;
+    var type = ptNode.func;
+    if (type === 'abstraction') {
+      // abstraction function defined in 'abstraction.js' in scripts folder
+      definitionMap[defName].graph = abstraction(graph, this._isFairAbstraction);
+    } else if (type === 'simplification') {
+      // simplification function is defined in 'bisimulation.js' in scripts folder
+      definitionMap[defName].graph = simplification(graph);
+    }
+    // if any other functions are required, add another else if statement to this one
+
+    extendtionNode.id = definitionMap[defName].graph.root.id;
+  },
+
+  /**
+   * Interpret a parse tree stop node.
+   *
+   * @private
+   * @param {!object} ptNode             - A parse tree stop node
+   * @param {!Graph.Node} extendtionNode - The node in the graph to build on from
+   * @param {!object} definitionMap      - The definition map being used
+   * @param {!string} defName            - The name of the current definition
+   * @param {!object} referenceMap       - The reference map that store references already known about
+   */
+  _interpretStop: function(ptNode, extendtionNode, definitionMap, defName, globalName, referenceMap, variableMap) {
+    extendtionNode.addMetaData('isTerminal', 'stop');
+  },
+
+  /**
+   * Interpret a parse tree error node.
+   *
+   * @private
+   * @param {!object} ptNode             - A parse tree error node
+   * @param {!Graph.Node} extendtionNode - The node in the graph to build on from
+   * @param {!object} definitionMap      - The definition map being used
+   * @param {!string} defName            - The name of the current definition
+   * @param {!object} referenceMap       - The reference map that store references already known about
+   */
+  _interpretError: function(ptNode, extendtionNode, definitionMap, defName, globalName, referenceMap, variableMap) {
+    // add a deadlock edge from extendtion node
+    var graph = definitionMap[defName].graph;
+    var node = graph.addNode(NodeUid.next);
+    var edge = graph.addEdge(EdgeUid.next, extendtionNode, node, '');
+    edge.deadlockEdge();
+    node.addMetaData('isTerminal', 'error');
+  },
+
+  /**
+   * Checks the specified aciton to see if any variables or expressions are referenced
+   * in it and replaces these references with their corresponding values from the
+   * variable map.
+   *
+   * @private
+   * @param {string} action - the action to process
+   * @param {object} variableMap - a map of variable names to their values
+   * @returns {string} - the processed action
+   */
+  _processVariables: function(action, variableMap) {
+    var regex = '[\$][v<]*[a-zA-Z0-9]*[>]*';
+    var match = action.match(regex);
+
+    // continue to process while matches can still be found
+    while (match !== null) {
+      var expression = interpretExpression(variableMap[match[0]], variableMap);
+      action = action.replace(match[0], expression);
+      match = action.match(regex);
+    }
+
+    return action;
+  },
+
+  /**
+   * Interpret a parse tree operation node.
+   *
+   * @private
+   * @param {!object} operation - a parse tree operation node
+   * @param {!object} definitionMap - the definition map being used
+   * @param {!string} defName1 - the name of the first definition
+   * @param {!string} defName2 - the name of the second definition
+   * @param {!string} input - a text representation of the input
+   * @param {!boolean} isNegated - whether or not this operation is negated
+   * @param {!object} position - the position of the operation in the code
+   */
+  _processOperation: function(operation, definitionMap, defName1, defName2, input, isNegated, position) {
+    var result = false;
+    var check = {};
+    var trace;
+    switch (operation) {
+      case 'bisimulation':
+        check = this._processBisimulation(definitionMap, defName1, defName2);
+        result = check.isEquivalent;
+        break;
+      case 'weak-bisimulation':
+        check = this._processWeakBisimulation(definitionMap, defName1, defName2);
+        result = check.isEquivalent;
+        break;
+      case 'trace-equivalence':
+        trace = this._processTraceEquivalence(definitionMap, defName1, defName2);
+        result = trace === undefined;
+        break;
+      case 'trace-refinement':
+        trace = this._processTraceRefinement(definitionMap, defName1, defName2);
+        result = trace === undefined;
+        break;
+      default:
+        console.error('Trying to interpret invalid process type "' + process + '"');
+        break;
+    }
+
+    // negate the result if the not operator was used
+    if (isNegated) {
+      result = !result;
+    }
+    var i = this._nextOperationsIndex();
+    this._operationsMap[i] = {input: input, result: result, position: position};
+
+    // include the trace that distinguishes the definitions if one was found
+    if (trace !== undefined) {
+      this._operationsMap[i].trace = trace;
+    }
+
+    // include the formula satisfied by the first definition but not the second if one was found
+    if (check.formula !== undefined) {
+      this._operationsMap[i].formula = check.formula;
+    }
+  },
+
+  /**
+   * Processes the safety property with the specified definition name. The property's graph is
+   * replaced by a deterministic graph which is then completed, so that every action in its
+   * alphabet that is not allowed in a state leads to an ERROR state.
+   *
+   * @private
+   * @param {!string} defName - the name of the property's definition
+   */
+  _processProperty: function(defName) {
+    var definition = this._definitionsMap[defName];
+    // determinise function is defined in 'determinisation.js' in scripts folder
+    definition.graph = determinise(definition.graph, definition.graph.root.id);
+
+    var alphabet = {};
+    definition.graph.edges.forEach(function(edge) {
+      if (!edge.isDeadlock) {
+        alphabet[Graph._prefixedLabel(edge)] = true;
+      }
+    });
+
+    // the ERROR state is constructed the same way as it is for 'ERROR' in a process
+    var error;
+    definition.graph.nodes.forEach(function(node) {
+      if (this._isErrorState(node)) {
+        return;
+      }
+
+      var labels = node.edgesFromMe.map(Graph._prefixedLabel);
+      for (var label in alphabet) {
+        if (labels.indexOf(label) !== -1) {
+          continue;
+        }
+
+        if (error === undefined) {
+          error = definition.graph.addNode(NodeUid.next);
+          this._interpretError(undefined, error, this._definitionsMap, defName);
+        }
+        definition.graph.addEdge(EdgeUid.next, node, error, label);
+        node.deleteMetaData('isTerminal');
+      }
+    }.bind(this));
+  },
+
+  /**
+   * Checks whether the definition with the specified name can reach an ERROR state when it
+   * is composed with safety properties. If it can then a violation is added to the definition,
+   * which contains a shortest trace to the ERROR state.
+   *
+   * @private
+   * @param {!string} defName - the name of the definition to check
+   * @param {!object} model - the parse tree model node the definition was interpreted from
+   */
+  _checkProperties: function(defName, model) {
+    var definition = this._definitionsMap[defName];
+    var properties = [];
+    var references = this._getReferencedNames(model.definitions);
+    for (var i = 0; i < references.length; i++) {
+      var referenced = this._definitionsMap[references[i]];
+      if (referenced !== undefined && referenced !== definition) {
+        properties = _.union(properties, referenced.isProperty ? [references[i]] : referenced.properties);
+      }
+    }
+
+    definition.properties = properties;
+    definition.violations = [];
+    if (properties.length === 0 || definition.isProperty) {
+      return;
+    }
+
+    // shortestTrace function is defined in 'traces.js' in scripts folder
+    var trace = shortestTrace(definition.graph, this._isErrorState);
+
+    if (trace !== undefined) {
+      definition.violations.push({
+        type: 'property',
+        process: defName,
+        message: defName + ' violates ' + (properties.length === 1 ? 'property ' : 'properties ') + properties.join(', '),
+        trace: trace,
+        position: this._positions[defName]
+      });
+    }
+  },
+
+  /**
+   * Checks whether the definition with the specified name can deadlock, which is when it reaches a
+   * state without any transitions that is not a STOP (or ERROR) state. A violation is added to the
+   * definition for each deadlocked state, containing a shortest trace to it. The states are
+   * numbered in the same way as the nodes of the automata that are displayed.
+   *
+   * @private
+   * @param {!string} defName - the name of the definition to check
+   */
+  _checkDeadlocks: function(defName) {
+    var definition = this._definitionsMap[defName];
+    if (!definition.isVisible || definition.isProperty) {
+      return;
+    }
+
+    // shortestTraces function is defined in 'traces.js' in scripts folder
+    var deadlocks = shortestTraces(definition.graph, function(node) {
+      return node.edgesFromMe.length === 0 && node.getMetaData('isTerminal') === undefined;
+    });
+    if (deadlocks.length === 0) {
+      return;
+    }
+
+    var order = definition.graph.breadthFirstOrder().nodes;
+    deadlocks.map(function(deadlock) {
+      return {state: order.indexOf(deadlock.node), trace: deadlock.trace};
+    }).sort(function(a, b) {
+      return a.state - b.state;
+    }).forEach(function(deadlock) {
+      definition.violations.push({
+        type: 'deadlock',
+        process: defName,
+        message: defName + ' deadlocks in state ' + deadlock.state,
+        trace: deadlock.trace,
+        state: deadlock.state,
+        position: this._positions[defName]
+      });
+    }.bind(this));
+  },
+
+  /**
+   * Returns true if the specified node is an ERROR state, which is either an error terminal or
+   * a node that deadlocks (as constructed for 'ERROR' by `_interpretError`).
+   *
+   * @private
+   * @param {!Graph.Node} node - the node
+   * @returns {!boolean} whether or not the node is an ERROR state
+   */
+  _isErrorState: function(node) {
+    return node.getMetaData('isTerminal') === 'error' || node.edgesFromMe.some(function(edge) {
+      return edge.isDeadlock;
+    });
+  },
+
+  /**
+   * Returns the names of the processes referenced in the specified parse tree nodes, without
+   * any indices.
+   *
+   * @private
+   * @param {!object} ptNode - a parse tree node, or an array of them
+   * @returns {!array} the names of the referenced processes
+   */
+  _getReferencedNames: function(ptNode) {
+    if (ptNode === null || typeof ptNode !== 'object') {
+      return [];
+    }
+
+    if (ptNode.type === 'name') {
+      return [ptNode.name.split('[')[0]];
+    }
+
+    var names = [];
+    for (var key in ptNode) {
+      names = _.union(names, this._getReferencedNames(ptNode[key]));
+    }
+
+    return names;
+  },
+
+  /**
+   * Returns the violations found in the global definitions in the specified definition map.
+   *
+   * @private
+   * @param {!object} definitionMap - the definition map
+   * @returns {!array} the violations, in the order the definitions were defined
+   */
+  _getViolations: function(definitionMap) {
+    var violations = [];
+    for (var name in definitionMap) {
+      if (!/[.<]/.test(name)) {
+        violations = violations.concat(definitionMap[name].violations);
+      }
+    }
+
+    return violations;
+  },
+
+  /**
+   * Checks the progress properties against the global definitions in the specified definition map
+   * and returns the violations found. Safety properties are not checked.
+   *
+   * @private
+   * @param {!object} definitionMap - the definition map
+   * @returns {!array} the violations, in the order the definitions were defined
+   */
+  _checkProgress: function(definitionMap) {
+    var violations = [];
+    if (!this._buildAutomata || this._progressProperties.length === 0) {
+      return violations;
+    }
+
+    for (var name in definitionMap) {
+      if (!/[.<]/.test(name) && !definitionMap[name].isProperty) {
+        violations = violations.concat(this._checkProgressOf(name, definitionMap[name].graph));
+      }
+    }
+
+    return violations;
+  },
+
+  /**
+   * Checks the progress properties against the specified graph. The graph violates a progress
+   * property if it can end up in a terminal set of states where none of the property's actions can
+   * happen, hidden actions never count as one of them. A progress property is only checked if the
+   * graph can perform at least one of its actions.
+   *
+   * @private
+   * @param {!string} defName - the name of the definition the graph belongs to
+   * @param {!Graph} graph - the graph to check
+   * @returns {!array} the violations, each containing a shortest trace into the terminal set and
+   *                   the actions in the set's cycle
+   */
+  _checkProgressOf: function(defName, graph) {
+    var violations = [];
+    var sets;
+    this._progressProperties.forEach(function(progress) {
+      var isProgress = function(edge) {
+        return !edge.isHidden && _.contains(progress.actions, edge.label);
+      };
+      if (!graph.edges.some(isProgress)) {
+        return;
+      }
+
+      // terminalSets function is defined in 'terminal-sets.js' in scripts folder
+      sets = sets || terminalSets(graph, this._isFairAbstraction);
+      sets.forEach(function(set) {
+        if (set.edges.some(isProgress)) {
+          return;
+        }
+
+        // shortestTrace function is defined in 'traces.js' in scripts folder
+        var trace = shortestTrace(graph, function(node) {
+          return _.contains(set.nodes, node);
+        });
+
+        violations.push({
+          type: 'progress',
+          process: defName,
+          message: defName + ' violates progress property ' + progress.name,
+          trace: trace,
+          cycle: _.uniq(set.edges.map(Graph._prefixedLabel)).sort(),
+          position: this._positions[defName]
+        });
+      }.bind(this));
+    }.bind(this));
+
+    return violations;
+  },
+
+  /**
+   * Checks the assertions against the global definitions in the specified definition map. The result
+   * of checking each definition is added to the operations map. Safety properties are not checked.
+   *
+   * @private
+   * @param {!object} definitionMap - the definition map
+   */
+  _checkAssertions: function(definitionMap) {
+    if (!this._buildAutomata) {
+      return;
+    }
+
+    this._assertions.forEach(function(assertion) {
+      try {
+        for (var name in definitionMap) {
+          if (!/[.<]/.test(name) && !definitionMap[name].isProperty) {
+            this._checkAssertionOf(name, definitionMap[name].graph, assertion);
+          }
+        }
+      } catch (e) {
+        if (e instanceof Graph.LimitException) {
+          throw this._constructLimitException(e, assertion);
+        }
+        throw e;
+      }
+    }.bind(this));
+  },
+
+  /**
+   * Checks the specified assertion against the specified graph and adds the result to the operations
+   * map. An action that the graph never performs never holds, so every graph is checked. If the
+   * graph violates the assertion the result contains a counterexample, which is a prefix of actions
+   * followed by a cycle of actions that is repeated forever, in which hidden actions are shown as τ,
+   * along with the ids of the edges performed. The edges are numbered in the same way as the edges of
+   * the automata that are displayed.
+   *
+   * @private
+   * @param {!string} defName - the name of the definition the graph belongs to
+   * @param {!Graph} graph - the graph to check
+   * @param {!object} assertion - the assertion
+   */
+  _checkAssertionOf: function(defName, graph, assertion) {
+    var input = defName + ' |= ' + assertion.name;
+    this._reportProgress('Checking ' + input);
+
+    // checkLtl function is defined in 'ltl.js' in scripts folder
+    var counterexample = checkLtl(graph, assertion.formula, this._isFairAbstraction);
+    var i = this._nextOperationsIndex();
+    this._operationsMap[i] = {
+      input: input,
+      result: counterexample === undefined,
+      position: assertion.position,
+      process: defName,
+      assertion: assertion.name
+    };
+
+    if (counterexample !== undefined) {
+      var order = graph.breadthFirstOrder().edges;
+      var getTrace = function(edges) {
+        return edges.map(Graph._prefixedLabel);
+      };
+      var getIds = function(edges) {
+        return edges.map(function(edge) {
+          return order.indexOf(edge);
+        });
+      };
+
+      this._operationsMap[i].counterexample = {
+        prefix: getTrace(counterexample.prefix),
+        cycle: getTrace(counterexample.cycle),
+        prefixEdges: getIds(counterexample.prefix),
+        cycleEdges: getIds(counterexample.cycle)
+      };
+    }
+  },
+
+  /**
+   * Processes a parse tree formula node, replacing the variables in its actions with their values.
+   *
+   * @private
+   * @param {!object} formula - a parse tree formula node
+   * @returns {!object} the formula, of the form `{operator, operands}` as used by `checkLtl`
+   */
+  _processFormula: function(formula) {
+    if (formula.operator === 'action') {
+      return {operator: 'action', operands: [this._processVariables(formula.operands[0], this._variableMap)]};
+    }
+
+    return {operator: formula.operator, operands: formula.operands.map(this._processFormula.bind(this))};
+  },
+
+  /**
+   * Processes a bisimulation operation between the defined definitions and returns
+   * whether both processes are bisimular or not. If they are not bisimular the result
+   * also contains a formula which is satisfied by the first definition but not the second.
+   *
+   * @private
+   * @param {!object} definitionMap - a map of definition names to definition processes
+   * @param {!string} defName1 - the first definition name
+   * @param {!string} defName2 - the second definition name
+   * @returns {!object} - the result of the bisimulation check
+   */
+  _processBisimulation: function(definitionMap, defName1, defName2) {
+    var graph1 = definitionMap[defName1].graph;
+    var graph2 = definitionMap[defName2].graph;
+    // equivalenceCheck function is defined in 'bisimulation.js' in scripts folder
+    return equivalenceCheck([graph1, graph2]);
+  },
+
+  /**
+   * Processes a weak bisimulation operation between the defined definitions and returns
+   * whether both processes are weakly bisimular or not. Hidden actions are treated as
+   * tau actions, so no explicit abstraction is required.
+   *
+   * @private
+   * @param {!object} definitionMap - a map of definition names to definition processes
+   * @param {!string} defName1 - the first definition name
+   * @param {!string} defName2 - the second definition name
+   * @returns {!object} - the result of the weak bisimulation check
+   */
+  _processWeakBisimulation: function(definitionMap, defName1, defName2) {
+    var graph1 = definitionMap[defName1].graph;
+    var graph2 = definitionMap[defName2].graph;
+    // weakEquivalenceCheck function is defined in 'bisimulation.js' in scripts folder
+    return weakEquivalenceCheck([graph1, graph2]);
+  },
+
+  /**
+   * Processes a trace equivalence operation between the defined definitions and returns
+   * a shortest trace that can only be performed by one of the definitions.
+   *
+   * @private
+   * @param {!object} definitionMap - a map of definition names to definition processes
+   * @param {!string} defName1 - the first definition name
+   * @param {!string} defName2 - the second definition name
+   * @returns {array} - the distinguishing trace, or undefined if the definitions are trace equivalent
+   */
+  _processTraceEquivalence: function(definitionMap, defName1, defName2) {
+    var graph1 = definitionMap[defName1].graph;
+    var graph2 = definitionMap[defName2].graph;
+    // traceEquivalence function is defined in 'traces.js' in scripts folder
+    return traceEquivalence(graph1, graph2);
+  },
+
+  /**
+   * Processes a trace refinement operation between the defined definitions and returns
+   * a shortest trace of the first definition that cannot be performed by the second.
+   *
+   * @private
+   * @param {!object} definitionMap - a map of definition names to definition processes
+   * @param {!string} defName1 - the refining definition name
+   * @param {!string} defName2 - the refined definition name
+   * @returns {array} - the distinguishing trace, or undefined if the first definition refines the second
+   */
+  _processTraceRefinement: function(definitionMap, defName1, defName2) {
+    var graph1 = definitionMap[defName1].graph;
+    var graph2 = definitionMap[defName2].graph;
+    // traceRefinement function is defined in 'traces.js' in scripts folder
+    return traceRefinement(graph1, graph2);
+  },
+
+  /**
+   * Constructs and returns an empty definition.
+   *
+   * @private
+   * @param {!string} defName - the name of the definition to construct
+   * @param {!string} type - the type of definition
+   * @param {!object} relabel - either an array of relabelling objects or undefined
+   * @param {!object} hidden - either an array of actions to hide or undefined
+   * @param {!boolean} isVisible - whether or not this definition is to be visualised
+   */
+  _constructDefinition: function(defName, type, relabel, hidden, isVisible) {
+    this._definitionsMap[defName] = new this._Definition();
+    this._definitionsMap[defName].graph = new Graph();
+    var rootId = this._definitionsMap[defName].rootId;
+    var root = this._definitionsMap[defName].graph.addNode(
+      rootId === undefined ? NodeUid.next : rootId
+    );
+    root.addMetaData('startNode', true);
+    this._definitionsMap[defName].type = type;
+    this._definitionsMap[defName].relabel = relabel;
+    this._definitionsMap[defName].hidden = hidden;
+    this._definitionsMap[defName].isVisible = isVisible;
+  },
+  /**
+   * Runs the processing of references, parallel composition, relabelling and hiding for
+   * the specified definition.
+   *
+   * @private
+   * @param {!string} defName - the definition to process
+   */
+  _processDefinition: function(defName) {
+    this._processReferences(defName);
+    this._processLabelling(defName);
+    this._processRelabelling(defName);
+    this._processHiding(defName);
+  },
+
+  /**
+   * Process all the unprocessed references for the specified definition.
+   *
+   * @private
+   * @param {!string} defName - the name of the definition to process
+   */
+  _processReferences: function(defName) {
+    var prevReferences = defName;   // for correct error messages
+    // while it has un processed nodes
+    while (this._definitionsMap[defName].unprocessedNodes.length > 0) {
+      var definition = this._definitionsMap[defName];
+      var len = this._definitionsMap[defName].unprocessedNodes.length;
+      var references;
+      // loop through all the unprocessed nodes
+      // (only the ones that were marked as un processed when the while loop started,
+      // not any new unprocessed nodes that were added)
+      for (var i = 0; i < len; i++) {
+        var node = definition.unprocessedNodes[i];
+        var refs = node.getMetaData('references');
+        for (var j = 0; j < refs.length; j++) {
+          references = refs[j];
+
+          // check whether or not the automaton that this node is referencing actual exist.
+          if (this._definitionsMap[references] === undefined || this._definitionsMap[references].graph === undefined) {
+            throw new this.InterpreterException('unknown automaton "' + references + '" referenced in "' + prevReferences + '".');
+          }
+
+          var refGraph = this._definitionsMap[references].graph;
+          var refNodes = refGraph.nodes;
+          // set the current nodes id to the root of the reference graph
+          node.id = refGraph.root.id;
+          // add the nodes and edge from the referenced graph in to this one
+          definition.graph.combineWith(refGraph);
+          // find all the unprocessed nodes that we are adding to this graph
+          // and add them to the array of unprocessed nodes
+          for (var k = 0; k < refNodes.length; k++) {
+            var gRefNode = definition.graph.getNode(refNodes[k].id);
+            if (gRefNode.getMetaData('referenceUnprocessed')) {
+              definition.unprocessedNodes.push(gRefNode);
+            }
+          }
+          node.deleteMetaData('referenceUnprocessed'); // this node has now been processed
+        }
+      }
+      // remove all the nodes we just processed from the unprocessed nodes array
+      definition.unprocessedNodes.splice(0, len);
+      prevReferences = references;
+    }
+
+    // make sure that the root of the graph is the start node
+    this._definitionsMap[defName].graph.root.addMetaData('startNode', true);
+  },
+
+  /**
+   * Process the labelling of transitiosn for the specified definition.
+   * This labels each edge in the definition's graph as:
+   *     <label>.<edge>
+   *
+   * @private
+   * @param {!string} defName - the definition to perform labelling for
+   */
+  _processLabelling: function(defName) {
+    var label = this._definitionsMap[defName].label;
+    if (label !== undefined) {
+      var edges = this._definitionsMap[defName].graph.edges;
+      // relabel all the edges in the definition
+      edges.forEach(function(edge) {
+        var newLabel = label + '.' + edge.label;
+        edge.label = newLabel;
+      }.bind(this));
+    }
+  },
+
+  /**
+   * Process the relabelling of transitions for the specified definition.
+   *
+   * @private
+   * @param {!string} defName - the definition to perform relabelling for
+   */
+  _processRelabelling: function(defName, relabel) {
+    relabel = (relabel === undefined) ? this._definitionsMap[defName].relabel : relabel;
+    if (relabel !== undefined) {
+      relabel = this._processRelabellingSet(relabel, this._variableMap);
+      // get an array of edges in the current graph
+      var edges = this._definitionsMap[defName].graph.edges;
+      // check each edge to see if it needs to be updated
+      edges.forEach(function(edge) {
+        for (var i = 0; i < relabel.length; i++) {
+          // only update the edge if it needs to be relabelled
+          var oldLabel = relabel[i].old;
+          var newLabel = relabel[i].new;
+          if (oldLabel === edge.label) {
+            edge.label = newLabel;
+          }
+        }
+      }.bind(this));
+    }
+  },
+
+  /**
+   * Processes and returns the set of relabelling objects.
+   *
+   * @private
+   * @param {!object} set - the set of relabelling objects to process
+   * @returns {!object} processed set
+   */
+  _processRelabellingSet: function(set) {
+    var result = [];
+    for (var i = 0; i < set.length; i++) {
+      var newLabel = this._processVariables(set[i].newLabel, this._variableMap);
+      var oldLabel = this._processVariables(set[i].oldLabel, this._variableMap);
+      result.push({new: newLabel, old: oldLabel});
+    }
+
+    return result;
+  },
+
+  /**
+   * Process the hiding of transitions for the specified definition.
+   *
+   * @private
+   * @param {!string} defName - the definition to perform relabelling for
+   */
+  _processHiding: function(defName, hidden) {
+    hidden = (hidden === undefined) ? this._definitionsMap[defName].hidden : hidden;
+    if (hidden !== undefined) {
+      var type = hidden.type;
+      var set = this._processSet(hidden.set);
+      // get an array of edges in the current graph
+      var edges = this._definitionsMap[defName].graph.edges;
+      // check each edge to see if it needs to be updated
+      edges.forEach(function(edge, index) {
+        var contains = _.contains(set, edge.label);
+        if ((type === 'includes' && contains) || (type === 'excludes' && !contains)) {
+          // only updates the edge if it needs to be hidden
+          edge.hideEdge();
+        }
+      }.bind(this));
+    }
+  },
+
+  /**
+   * Processes and returns the set of hiding objects.
+   *
+   * @private
+   * @param {!object} set - the set of hiding objects to process
+   * @returns {!object} processed set
+   */
+  _processSet: function(set) {
+    var tempSet = [];
+    for (var i = 0; i < set.length; i++) {
+      // check whether this element is either a string or an index object
+      if (typeof(set[i]) === 'string') {
+        tempSet.push(this._processVariables(set[i], this._variableMap));
+      } else {
+        var variableMap = Object.create(this._variableMap);
+        var iterator = this._constructIndexIterator(set[i].index, variableMap);
+        while (iterator.hasNext) {
+          var element = iterator.next;
+          variableMap[set[i].variable] = element;
+          tempSet.push(this._processVariables(set[i].process, variableMap));
+        }
+      }
+    }
+
+    return tempSet;
+  },
+
+  /**
+   * Processes and returns the specified range value. Checks to see if the range
+   * has been previously defined, references valid constants and that it is not
+   * invalid (the start of the range is greater than the end of the range).
+   *
+   * @private
+   * @param {!object} range - the range to be processed
+   * @param {!string} defName - the name of the range
+   * @returns {!object} - the processed range
+   */
+  _processRange: function(range, defName, variableMap) {
+    variableMap = (variableMap === undefined) ? this._variableMap : variableMap;
+    defName = (defName === undefined) ? range.start + '..' + range.end : defName;
+
+    // assign constant values to start or end points if necessary
+    var points = [range.start, range.end];
+
+    for (var i = 0; i < points.length; i++) {
+      if (typeof(points[i]) !== 'number') {
+        points[i] = interpretExpression(points[i], variableMap);
+      }
+    }
+
+    // update the range
+    range.start = points[0];
+    range.end = points[1];
+
+    // make sure that start of range is less than then end
+    if (range.start >= range.end) {
+      throw new this.InterpreterException('Start of range greater than or equal to end of range for range "' + defName + '".');
+    }
+
+    range.type = 'range';
+    return range;
+  },
+
+  /**
+   * Constructs and returns an iterator over the specified range or set. The start
+   * and end points of a range are evaluated first, as they may reference constants
+   * or variables.
+   *
+   * @private
+   * @param {!object} index - the range or set node to iterate over
+   * @param {!object} variableMap - a map of variable names to their values
+   * @returns {!IndexIterator} - an iterator over the index
+   */
+  _constructIndexIterator: function(index, variableMap) {
+    if (index.type === 'range') {
+      // process a copy so that the same range node can be evaluated in multiple contexts
+      var range = {start: index.start, end: index.end};
+      index = this._processRange(range, index.name, variableMap);
+    }
+
+    return new IndexIterator(index);
+  },
+
+  /**
+   * Relabel the nodes in each automata definition.
+   * The nodes are numbered in the order given by `Graph.breadthFirstOrder`.
+   *
+   * @private
+   * @param {boolean} showRefs - If set will prefix reference nodes' labels with the automaton they reference
+   * @param {boolean} useIds   - If set will use the nodes' id as the label
+   */
+  _relabelNodes: function(showRefs, useIds) {
+    var automata = this._getAutomataFromDefinitionsMap();
+    for (var key in automata) {
+      key = automata[key];
+      // label the nodes in an order that does not depend on their ids
+      var nodes = this._definitionsMap[key].graph.breadthFirstOrder().nodes;
+      for (var i = 0; i < nodes.length; i++) {
+        var node = nodes[i];
+        var ref = node.getMetaData('references');
+        if (showRefs && ref && ref !== this.name) {
+          node.label = ref + ':';
+        } else {
+          node.label = '';
+        }
+        node.label += useIds ? 'n' + node.id : i;
+      }
+    }
+  },
+
+  /**
+   * Get the name from a parse tree name node.
+   *
+   * @private
+   * @param {!object} ptNode - A parse tree name node
+   * @returns {string}
+   */
+  _getNameFromPTNode: function(ptNode) {
+    if (ptNode === undefined) {
+      return undefined;
+    }
+
+    var name = this._getNameFromPTNode(ptNode.name);
+    if (name === undefined) {
+      return ptNode.name;
+    }
+    return name;
+  },
+
+  /**
+   * Returns the next free index in the operations map.
+   *
+   * @private
+   * @returns {!integer} - next available index
+   */
+  _nextOperationsIndex: function() {
+    var index = this._operationsIndex;
+    this._operationsIndex = index + 1;
+    return index;
+  },
+
+  /**
+   * Returns the next unique operation uid.
+   *
+   * @private
+   * @returns {!string} - next operation uid
+   */
+  _nextOperationUid: function() {
+    var next = this._operationUid;
+    this._operationUid = next + 1;
+    return '' + next;
+  },
+
+  /**
+   * Pushes the specified definition name to the composite stack.
+   *
+   * @private
+   * @param {!string} name - definition name
+   */
+  _pushToCompositeStack: function(name) {
+    var stack = this._compositeStack;
+    stack.push(name);
+    this._compositeStack = stack;
+  },
+
+  /**
+   * Pops the next definition name from composite stack.
+   *
+   * @private
+   * @returns {!string} the last definition name added to the composite stack
+   */
+  _popFromCompositeStack: function() {
+    var stack = this._compositeStack;
+    var name = stack.pop();
+    this._compositeStack = stack;
+    return name;
+  },
+
+  /**
+   * Returns the keys for all the automata defined in the definitions map.
+   *
+   * @private
+   * @returns {!array} - an array of keys
+   */
+  _getAutomataFromDefinitionsMap: function() {
+    var automata = [];
+    for (var key in this._definitionsMap) {
+      if (this._definitionsMap[key].graph !== undefined) {
+        automata.push(key);
+      }
+    }
+
+    return automata;
+  }
+};
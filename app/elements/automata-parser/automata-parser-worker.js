@@ -0,0 +1,71 @@
+// jshint worker:true
+'use strict';
+
+/*
+ * A web worker used by the automata-parser element to parse and interpret code
+ * off of the UI thread.
+ *
+ * Each message received should contain a sequence number, the code to compile, whether or not to build the
+ * automata, whether or not fair abstraction is performed, the state and transition limits and
+ * the Aldebaran (.aut) files to import.
+ * Any number of progress messages are sent back while the code is compiled, followed by
+ * a result message containing the automata, operation results, violations and diagnostics.
+ * Every message sent back contains the sequence number of the message it is in response to.
+ *
+ * The compiler caches the definitions it builds between messages, so only the processes
+ * that have changed since the last message are interpreted again. This cache is lost when
+ * the automata-parser element terminates the worker to cancel a compilation or when it times out.
+ */
+
+importScripts(
+  '../../bower_components/lodash/lodash.js',
+  '../../scripts/graph.es6.js',
+  '../../scripts/graph-operations/abstraction.js',
+  '../../scripts/graph-operations/bisimulation.js',
+  '../../scripts/graph-operations/determinisation.js',
+  '../../scripts/graph-operations/terminal-sets.js',
+  '../../scripts/graph-operations/ltl.js',
+  '../../scripts/graph-operations/parallel-composition.js',
+  '../../scripts/graph-operations/traces.js',
+  '../../scripts/graph-exporters/aldebaran.js',
+  '../../scripts/automaton.js',
+  '../../scripts/index-iterator.es6.js',
+  '../../scripts/expression-interpreter.js',
+  '../../scripts/reverse-polish-notation.js',
+  '../../scripts/shunting-yard-algorithm.js',
+  'parser.js',
+  'initial-parser.js',
+  'automata-interpreter.js',
+  'automata-compiler.js'
+);
+
+var compiler = new AutomataCompiler();
+
+self.onmessage = function(e) {
+  var result = compiler.compile(e.data.code, {
+    build: e.data.build,
+    fair: e.data.isFair,
+    limits: e.data.limits,
+    imports: e.data.imports,
+    incremental: true,
+    onProgress: function(message) {
+      self.postMessage({type: 'progress', sequence: e.data.sequence, message: message});
+    }
+  });
+
+  // only the graphs of the automata that have changed are converted to JSON,
+  // the automata-parser element reuses the automata it already has for the others
+  var automata = result.automata.map(function(automaton) {
+    var graph = (result.changed.indexOf(automaton.name) !== -1) ? automaton.graph.toJSON() : undefined;
+    return {name: automaton.name, graph: graph};
+  });
+
+  self.postMessage({
+    type: 'result',
+    sequence: e.data.sequence,
+    automata: automata,
+    operations: result.operations,
+    violations: result.violations,
+    diagnostics: result.diagnostics
+  });
+};
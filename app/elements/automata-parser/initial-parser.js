@@ -40,7 +40,9 @@ initialPEG.initialParser = (function() {
         peg$c0 = function() {
             return {
                 processes: processes,
-                operations: operations
+                operations: operations,
+                progress: progress,
+                assertions: assertions
             };
         },
         peg$c1 = { type: "other", description: "identifier" },
@@ -171,12 +173,15 @@ initialPEG.initialParser = (function() {
             isValidIdentifier(ident);
             variableMap[ident] = '{' + set + '}';
          },
-        peg$c73 = function(ident, body, relabel, hide) {
+        peg$c73 = "property",
+        peg$c74 = { type: "literal", value: "property", description: "\"property\"" },
+        peg$c75 = function(property, ident, body, relabel, hide) {
             isValidIdentifier(ident);
+            property = (property != null) ? 'property ' : '';
             relabel = (relabel != null) ? relabel : '';
             hide = (hide != null) ? hide : '';
             
-            var process = ident + '=' + body + relabel + hide + '.'
+            var process = property + ident + '=' + body + relabel + hide + '.'
             var dependentOn = [];
             
             for(var i in dependencies){
@@ -186,30 +191,35 @@ initialPEG.initialParser = (function() {
                 }
             }
             if(dependentOn.length == 0){
-                processes[ident] = { process: process };
+                processes[ident] = { process: process, position: location() };
             }
             else{
-                processes[ident] = { process: process, dependencies: dependentOn };
+                processes[ident] = { process: process, dependencies: dependentOn, position: location() };
             }
             
             dependencies = {};
             localDependencies = {};
          },
-        peg$c74 = function(process, definitions) {
+        peg$c76 = "progress",
+        peg$c77 = { type: "literal", value: "progress", description: "\"progress\"" },
+        peg$c78 = function(ident, set) {
+            progress.push({ progress: 'progress ' + ident + '=' + set, position: location() });
+         },
+        peg$c79 = function(process, definitions) {
             return process + ',' + definitions;
          },
-        peg$c75 = function(definition, definitions) {
+        peg$c80 = function(definition, definitions) {
             return (definitions != null) ? definition + definitions : definition;
          },
-        peg$c76 = function(definitions) {
+        peg$c81 = function(definitions) {
             return ',' + definitions;
          },
-        peg$c77 = function(ident, ranges, process) {
+        peg$c82 = function(ident, ranges, process) {
             ranges = (ranges != null) ? ranges : '';
             localDependencies[ident] = ident;
             return ident + ranges + '=' + process;
          },
-        peg$c78 = function(prefix, process, relabel) {
+        peg$c83 = function(prefix, process, relabel) {
             if(prefix == null && relabel == null){
                 return process;
             }
@@ -219,33 +229,33 @@ initialPEG.initialParser = (function() {
             
             return prefix + process + relabel;
          },
-        peg$c79 = "if",
-        peg$c80 = { type: "literal", value: "if", description: "\"if\"" },
-        peg$c81 = "then",
-        peg$c82 = { type: "literal", value: "then", description: "\"then\"" },
-        peg$c83 = "else",
-        peg$c84 = { type: "literal", value: "else", description: "\"else\"" },
-        peg$c85 = function(exp, thenProcess, elseProcess) {
+        peg$c84 = "if",
+        peg$c85 = { type: "literal", value: "if", description: "\"if\"" },
+        peg$c86 = "then",
+        peg$c87 = { type: "literal", value: "then", description: "\"then\"" },
+        peg$c88 = "else",
+        peg$c89 = { type: "literal", value: "else", description: "\"else\"" },
+        peg$c90 = function(exp, thenProcess, elseProcess) {
             return 'if ' + exp + ' then ' + thenProcess + ' else ' + elseProcess;
          },
-        peg$c86 = function(exp, thenProcess) {
+        peg$c91 = function(exp, thenProcess) {
             return 'if ' + exp + ' then ' + thenProcess;
          },
-        peg$c87 = function(process) {
+        peg$c92 = function(process) {
             return process;
          },
-        peg$c88 = "(",
-        peg$c89 = { type: "literal", value: "(", description: "\"(\"" },
-        peg$c90 = ")",
-        peg$c91 = { type: "literal", value: ")", description: "\")\"" },
-        peg$c92 = function(process) {
+        peg$c93 = "(",
+        peg$c94 = { type: "literal", value: "(", description: "\"(\"" },
+        peg$c95 = ")",
+        peg$c96 = { type: "literal", value: ")", description: "\")\"" },
+        peg$c97 = function(process) {
             return  '(' + process + ')';
          },
-        peg$c93 = "STOP",
-        peg$c94 = { type: "literal", value: "STOP", description: "\"STOP\"" },
-        peg$c95 = "ERROR",
-        peg$c96 = { type: "literal", value: "ERROR", description: "\"ERROR\"" },
-        peg$c97 = function(ident, indices) {
+        peg$c98 = "STOP",
+        peg$c99 = { type: "literal", value: "STOP", description: "\"STOP\"" },
+        peg$c100 = "ERROR",
+        peg$c101 = { type: "literal", value: "ERROR", description: "\"ERROR\"" },
+        peg$c102 = function(ident, indices) {
             indices = (indices != null) ? indices : '';
             ident += indices;
             if(variableMap[ident] == undefined){
@@ -253,72 +263,72 @@ initialPEG.initialParser = (function() {
             }
             return ident;
          },
-        peg$c98 = function(type, process, relabel, hide) {
+        peg$c103 = function(type, process, relabel, hide) {
             relabel = (relabel != null) ? relabel : '';
             hide = (hide != null) ? hide : '';
             return type + '(' + process + relabel + hide + ')';
          },
-        peg$c99 = "abs",
-        peg$c100 = { type: "literal", value: "abs", description: "\"abs\"" },
-        peg$c101 = "simp",
-        peg$c102 = { type: "literal", value: "simp", description: "\"simp\"" },
-        peg$c103 = function(prefix, composite, relabel) {
+        peg$c104 = "abs",
+        peg$c105 = { type: "literal", value: "abs", description: "\"abs\"" },
+        peg$c106 = "simp",
+        peg$c107 = { type: "literal", value: "simp", description: "\"simp\"" },
+        peg$c108 = function(prefix, composite, relabel) {
             prefix = (prefix != null) ? prefix : '';
             relabel = (relabel != null) ? relabel : '';
             return prefix + '(' + composite + ')' + relabel;
          },
-        peg$c104 = "forall",
-        peg$c105 = { type: "literal", value: "forall", description: "\"forall\"" },
-        peg$c106 = function(ranges, composite) {
+        peg$c109 = "forall",
+        peg$c110 = { type: "literal", value: "forall", description: "\"forall\"" },
+        peg$c111 = function(ranges, composite) {
             return 'forall ' + ranges + ' ' + composite;
          },
-        peg$c107 = function(label) {
+        peg$c112 = function(label) {
             return label + ':';
          },
-        peg$c108 = function(process, parallel) {
+        peg$c113 = function(process, parallel) {
             return (parallel != null) ? process + parallel : process;
          },
-        peg$c109 = "||",
-        peg$c110 = { type: "literal", value: "||", description: "\"||\"" },
-        peg$c111 = function(process, parallel) {
+        peg$c114 = "||",
+        peg$c115 = { type: "literal", value: "||", description: "\"||\"" },
+        peg$c116 = function(process, parallel) {
             process = '||' + process;
             return (parallel != null) ? process + parallel : process;
          },
-        peg$c112 = function(prefix, choice) {
+        peg$c117 = function(prefix, choice) {
             return (choice != null) ? prefix + choice : prefix;
          },
-        peg$c113 = "|",
-        peg$c114 = { type: "literal", value: "|", description: "\"|\"" },
-        peg$c115 = function(prefix, choice) {
+        peg$c118 = "|",
+        peg$c119 = { type: "literal", value: "|", description: "\"|\"" },
+        peg$c120 = function(prefix, choice) {
             prefix = '|' + prefix;
             return (choice != null) ? prefix + choice : prefix;
          },
-        peg$c116 = function(guard, prefix) {
+        peg$c121 = function(guard, prefix) {
             return (guard != null) ? guard + ' ' + prefix : prefix;
          },
-        peg$c117 = "->",
-        peg$c118 = { type: "literal", value: "->", description: "\"->\"" },
-        peg$c119 = function(label, process) {
+        peg$c122 = "->",
+        peg$c123 = { type: "literal", value: "->", description: "\"->\"" },
+        peg$c124 = function(label, process) {
             return label + '->' + process;
          },
-        peg$c120 = "when",
-        peg$c121 = { type: "literal", value: "when", description: "\"when\"" },
-        peg$c122 = function(exp) {
+        peg$c125 = "when",
+        peg$c126 = { type: "literal", value: "when", description: "\"when\"" },
+        peg$c127 = function(exp) {
             return 'when ' + exp;
          },
-        peg$c123 = function(exp, indices) {
+        peg$c128 = function(exp, indices) {
             exp = '[' + exp + ']';
             return (indices != null) ? exp + indices : exp;
          },
-        peg$c124 = function(exp, ranges) {
+        peg$c129 = function(exp, ranges) {
             exp = '[' + exp + ']';
             return (ranges != null) ? exp + ranges : exp;
          },
-        peg$c125 = function(range, ranges) {
+        peg$c130 = function(range, ranges) {
             range = '[' + range + ']';
             return (ranges != null) ? range + ranges : range;
          },
-        peg$c126 = function(process1, negated, operator, process2) {
+        peg$c131 = function(process1, negated, operator, process2) {
             operator = (negated != null) ? negated + operator : operator;
             var operation = process1 + operator + process2 + '.';
             
@@ -327,88 +337,130 @@ initialPEG.initialParser = (function() {
                 dependentOn.push(i);
             }
             if(dependentOn.length == 0){
-                operations.push({ operation: operation });
+                operations.push({ operation: operation, position: location() });
             }
             else{
-                operations.push({ operation: operation, dependencies: dependentOn });
+                operations.push({ operation: operation, dependencies: dependentOn, position: location() });
                 dependencies = {};
             }
          },
-        peg$c127 = "~",
-        peg$c128 = { type: "literal", value: "~", description: "\"~\"" },
-        peg$c129 = "/",
-        peg$c130 = { type: "literal", value: "/", description: "\"/\"" },
-        peg$c131 = function(relabel) {
+        peg$c132 = "~~",
+        peg$c133 = { type: "literal", value: "~~", description: "\"~~\"" },
+        peg$c134 = "\u2248",
+        peg$c135 = { type: "literal", value: "\u2248", description: "\"\\u2248\"" },
+        peg$c136 = "~",
+        peg$c137 = { type: "literal", value: "~", description: "\"~\"" },
+        peg$c138 = "#",
+        peg$c139 = { type: "literal", value: "#", description: "\"#\"" },
+        peg$c140 = "<=",
+        peg$c141 = { type: "literal", value: "<=", description: "\"<=\"" },
+        peg$c142 = "assert",
+        peg$c143 = { type: "literal", value: "assert", description: "\"assert\"" },
+        peg$c144 = function(ident, formula) {
+            assertions.push({ name: ident, assertion: 'assert ' + ident + '=' + formula, position: location() });
+         },
+        peg$c145 = "<->",
+        peg$c146 = { type: "literal", value: "<->", description: "\"<->\"" },
+        peg$c147 = function(left, operator, right) {
+            return left + ' ' + operator + ' ' + right;
+         },
+        peg$c148 = function(left, right) {
+            return left + ' || ' + right;
+         },
+        peg$c149 = "&&",
+        peg$c150 = { type: "literal", value: "&&", description: "\"&&\"" },
+        peg$c151 = function(left, right) {
+            return left + ' && ' + right;
+         },
+        peg$c152 = "U",
+        peg$c153 = { type: "literal", value: "U", description: "\"U\"" },
+        peg$c154 = "W",
+        peg$c155 = { type: "literal", value: "W", description: "\"W\"" },
+        peg$c156 = "[]",
+        peg$c157 = { type: "literal", value: "[]", description: "\"[]\"" },
+        peg$c158 = "<>",
+        peg$c159 = { type: "literal", value: "<>", description: "\"<>\"" },
+        peg$c160 = "X",
+        peg$c161 = { type: "literal", value: "X", description: "\"X\"" },
+        peg$c162 = function(operator, operand) {
+            return operator + ' ' + operand;
+         },
+        peg$c163 = function(formula) {
+            return '(' + formula + ')';
+         },
+        peg$c164 = "true",
+        peg$c165 = { type: "literal", value: "true", description: "\"true\"" },
+        peg$c166 = "false",
+        peg$c167 = { type: "literal", value: "false", description: "\"false\"" },
+        peg$c168 = "/",
+        peg$c169 = { type: "literal", value: "/", description: "\"/\"" },
+        peg$c170 = function(relabel) {
             return '/{' + relabel + '}';
          },
-        peg$c132 = function(definition, definitions) {
+        peg$c171 = function(definition, definitions) {
             return (definitions != null) ? definition + definitions : definition;   
          },
-        peg$c133 = function(relabel) {
+        peg$c172 = function(relabel) {
             return ',' + relabel;   
          },
-        peg$c134 = function(newLabel, oldLabel) {
+        peg$c173 = function(newLabel, oldLabel) {
             return newLabel + '/' + oldLabel;
          },
-        peg$c135 = function(ranges, relabel) {
+        peg$c174 = function(ranges, relabel) {
             return 'forall ' + ranges + '{' + relabel + '}';
          },
-        peg$c136 = "\\",
-        peg$c137 = { type: "literal", value: "\\", description: "\"\\\\\"" },
-        peg$c138 = function(set) { // hides everything in the set
+        peg$c175 = "\\",
+        peg$c176 = { type: "literal", value: "\\", description: "\"\\\\\"" },
+        peg$c177 = function(set) { // hides everything in the set
             return '\\' + set;
          },
-        peg$c139 = "@",
-        peg$c140 = { type: "literal", value: "@", description: "\"@\"" },
-        peg$c141 = function(set) { // hides everything that is not in the set
+        peg$c178 = "@",
+        peg$c179 = { type: "literal", value: "@", description: "\"@\"" },
+        peg$c180 = function(set) { // hides everything that is not in the set
             return '@' + set;
          },
-        peg$c142 = function(base, op, exp) {
+        peg$c181 = function(base, op, exp) {
             return base + ' ' + op + ' ' + exp;
          },
-        peg$c143 = function(ident) {
+        peg$c182 = function(ident) {
             isValidConstant(ident);
             return variableMap[ident];
          },
-        peg$c144 = function(exp) {
+        peg$c183 = function(exp) {
             return '( ' + exp + ' )';
          },
-        peg$c145 = function(base, op, exp) {
+        peg$c184 = function(base, op, exp) {
             return base + ' ' + op + ' ' + exp; 
          },
-        peg$c146 = "&&",
-        peg$c147 = { type: "literal", value: "&&", description: "\"&&\"" },
-        peg$c148 = "^",
-        peg$c149 = { type: "literal", value: "^", description: "\"^\"" },
-        peg$c150 = "&",
-        peg$c151 = { type: "literal", value: "&", description: "\"&\"" },
-        peg$c152 = "==",
-        peg$c153 = { type: "literal", value: "==", description: "\"==\"" },
-        peg$c154 = "!=",
-        peg$c155 = { type: "literal", value: "!=", description: "\"!=\"" },
-        peg$c156 = "<<",
-        peg$c157 = { type: "literal", value: "<<", description: "\"<<\"" },
-        peg$c158 = ">>",
-        peg$c159 = { type: "literal", value: ">>", description: "\">>\"" },
-        peg$c160 = "<=",
-        peg$c161 = { type: "literal", value: "<=", description: "\"<=\"" },
-        peg$c162 = "<",
-        peg$c163 = { type: "literal", value: "<", description: "\"<\"" },
-        peg$c164 = ">=",
-        peg$c165 = { type: "literal", value: ">=", description: "\">=\"" },
-        peg$c166 = ">",
-        peg$c167 = { type: "literal", value: ">", description: "\">\"" },
-        peg$c168 = "+",
-        peg$c169 = { type: "literal", value: "+", description: "\"+\"" },
-        peg$c170 = "-",
-        peg$c171 = { type: "literal", value: "-", description: "\"-\"" },
-        peg$c172 = "*",
-        peg$c173 = { type: "literal", value: "*", description: "\"*\"" },
-        peg$c174 = "%",
-        peg$c175 = { type: "literal", value: "%", description: "\"%\"" },
-        peg$c176 = { type: "other", description: "whitespace" },
-        peg$c177 = /^[ \t\n\r]/,
-        peg$c178 = { type: "class", value: "[ \\t\\n\\r]", description: "[ \\t\\n\\r]" },
+        peg$c185 = "^",
+        peg$c186 = { type: "literal", value: "^", description: "\"^\"" },
+        peg$c187 = "&",
+        peg$c188 = { type: "literal", value: "&", description: "\"&\"" },
+        peg$c189 = "==",
+        peg$c190 = { type: "literal", value: "==", description: "\"==\"" },
+        peg$c191 = "!=",
+        peg$c192 = { type: "literal", value: "!=", description: "\"!=\"" },
+        peg$c193 = "<<",
+        peg$c194 = { type: "literal", value: "<<", description: "\"<<\"" },
+        peg$c195 = ">>",
+        peg$c196 = { type: "literal", value: ">>", description: "\">>\"" },
+        peg$c197 = "<",
+        peg$c198 = { type: "literal", value: "<", description: "\"<\"" },
+        peg$c199 = ">=",
+        peg$c200 = { type: "literal", value: ">=", description: "\">=\"" },
+        peg$c201 = ">",
+        peg$c202 = { type: "literal", value: ">", description: "\">\"" },
+        peg$c203 = "+",
+        peg$c204 = { type: "literal", value: "+", description: "\"+\"" },
+        peg$c205 = "-",
+        peg$c206 = { type: "literal", value: "-", description: "\"-\"" },
+        peg$c207 = "*",
+        peg$c208 = { type: "literal", value: "*", description: "\"*\"" },
+        peg$c209 = "%",
+        peg$c210 = { type: "literal", value: "%", description: "\"%\"" },
+        peg$c211 = { type: "other", description: "whitespace" },
+        peg$c212 = /^[ \t\n\r]/,
+        peg$c213 = { type: "class", value: "[ \\t\\n\\r]", description: "[ \\t\\n\\r]" },
 
         peg$currPos          = 0,
         peg$savedPos         = 0,
@@ -686,7 +738,7 @@ initialPEG.initialParser = (function() {
             s0 = peg$currPos;
             s1 = peg$parse_();
             if (s1 !== peg$FAILED) {
-              s2 = peg$parseOperation();
+              s2 = peg$parseProgressDefinition();
               if (s2 !== peg$FAILED) {
                 s3 = peg$parse_();
                 if (s3 !== peg$FAILED) {
@@ -708,7 +760,7 @@ initialPEG.initialParser = (function() {
               s0 = peg$currPos;
               s1 = peg$parse_();
               if (s1 !== peg$FAILED) {
-                s2 = peg$parseProcessDefinition();
+                s2 = peg$parseAssertionDefinition();
                 if (s2 !== peg$FAILED) {
                   s3 = peg$parse_();
                   if (s3 !== peg$FAILED) {
@@ -730,7 +782,7 @@ initialPEG.initialParser = (function() {
                 s0 = peg$currPos;
                 s1 = peg$parse_();
                 if (s1 !== peg$FAILED) {
-                  s2 = peg$parseComment();
+                  s2 = peg$parseOperation();
                   if (s2 !== peg$FAILED) {
                     s3 = peg$parse_();
                     if (s3 !== peg$FAILED) {
@@ -748,6 +800,52 @@ initialPEG.initialParser = (function() {
                   peg$currPos = s0;
                   s0 = peg$FAILED;
                 }
+                if (s0 === peg$FAILED) {
+                  s0 = peg$currPos;
+                  s1 = peg$parse_();
+                  if (s1 !== peg$FAILED) {
+                    s2 = peg$parseProcessDefinition();
+                    if (s2 !== peg$FAILED) {
+                      s3 = peg$parse_();
+                      if (s3 !== peg$FAILED) {
+                        s1 = [s1, s2, s3];
+                        s0 = s1;
+                      } else {
+                        peg$currPos = s0;
+                        s0 = peg$FAILED;
+                      }
+                    } else {
+                      peg$currPos = s0;
+                      s0 = peg$FAILED;
+                    }
+                  } else {
+                    peg$currPos = s0;
+                    s0 = peg$FAILED;
+                  }
+                  if (s0 === peg$FAILED) {
+                    s0 = peg$currPos;
+                    s1 = peg$parse_();
+                    if (s1 !== peg$FAILED) {
+                      s2 = peg$parseComment();
+                      if (s2 !== peg$FAILED) {
+                        s3 = peg$parse_();
+                        if (s3 !== peg$FAILED) {
+                          s1 = [s1, s2, s3];
+                          s0 = s1;
+                        } else {
+                          peg$currPos = s0;
+                          s0 = peg$FAILED;
+                        }
+                      } else {
+                        peg$currPos = s0;
+                        s0 = peg$FAILED;
+                      }
+                    } else {
+                      peg$currPos = s0;
+                      s0 = peg$FAILED;
+                    }
+                  }
+                }
               }
             }
           }
@@ -2318,52 +2416,81 @@ initialPEG.initialParser = (function() {
     }
 
     function peg$parseProcessDefinition() {
-      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10, s11;
+      var s0, s1, s2, s3, s4, s5, s6, s7, s8, s9, s10, s11, s12;
 
       s0 = peg$currPos;
-      s1 = peg$parseIdentifier();
+      s1 = peg$currPos;
+      if (input.substr(peg$currPos, 8) === peg$c73) {
+        s2 = peg$c73;
+        peg$currPos += 8;
+      } else {
+        s2 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c74); }
+      }
+      if (s2 !== peg$FAILED) {
+        s3 = peg$parse_();
+        if (s3 !== peg$FAILED) {
+          s2 = [s2, s3];
+          s1 = s2;
+        } else {
+          peg$currPos = s1;
+          s1 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s1;
+        s1 = peg$FAILED;
+      }
+      if (s1 === peg$FAILED) {
+        s1 = null;
+      }
       if (s1 !== peg$FAILED) {
-        s2 = peg$parse_();
+        s2 = peg$parseIdentifier();
         if (s2 !== peg$FAILED) {
-          if (input.charCodeAt(peg$currPos) === 61) {
-            s3 = peg$c64;
-            peg$currPos++;
-          } else {
-            s3 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c65); }
-          }
+          s3 = peg$parse_();
           if (s3 !== peg$FAILED) {
-            s4 = peg$parse_();
+            if (input.charCodeAt(peg$currPos) === 61) {
+              s4 = peg$c64;
+              peg$currPos++;
+            } else {
+              s4 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c65); }
+            }
             if (s4 !== peg$FAILED) {
-              s5 = peg$parseProcessBody();
+              s5 = peg$parse_();
               if (s5 !== peg$FAILED) {
-                s6 = peg$parse_();
+                s6 = peg$parseProcessBody();
                 if (s6 !== peg$FAILED) {
-                  s7 = peg$parseRelabel();
-                  if (s7 === peg$FAILED) {
-                    s7 = null;
-                  }
+                  s7 = peg$parse_();
                   if (s7 !== peg$FAILED) {
-                    s8 = peg$parse_();
+                    s8 = peg$parseRelabel();
+                    if (s8 === peg$FAILED) {
+                      s8 = null;
+                    }
                     if (s8 !== peg$FAILED) {
-                      s9 = peg$parseHiding();
-                      if (s9 === peg$FAILED) {
-                        s9 = null;
-                      }
+                      s9 = peg$parse_();
                       if (s9 !== peg$FAILED) {
-                        s10 = peg$parse_();
+                        s10 = peg$parseHiding();
+                        if (s10 === peg$FAILED) {
+                          s10 = null;
+                        }
                         if (s10 !== peg$FAILED) {
-                          if (input.charCodeAt(peg$currPos) === 46) {
-                            s11 = peg$c31;
-                            peg$currPos++;
-                          } else {
-                            s11 = peg$FAILED;
-                            if (peg$silentFails === 0) { peg$fail(peg$c32); }
-                          }
+                          s11 = peg$parse_();
                           if (s11 !== peg$FAILED) {
-                            peg$savedPos = s0;
-                            s1 = peg$c73(s1, s5, s7, s9);
-                            s0 = s1;
+                            if (input.charCodeAt(peg$currPos) === 46) {
+                              s12 = peg$c31;
+                              peg$currPos++;
+                            } else {
+                              s12 = peg$FAILED;
+                              if (peg$silentFails === 0) { peg$fail(peg$c32); }
+                            }
+                            if (s12 !== peg$FAILED) {
+                              peg$savedPos = s0;
+                              s1 = peg$c75(s1, s2, s6, s8, s10);
+                              s0 = s1;
+                            } else {
+                              peg$currPos = s0;
+                              s0 = peg$FAILED;
+                            }
                           } else {
                             peg$currPos = s0;
                             s0 = peg$FAILED;
@@ -2412,6 +2539,71 @@ initialPEG.initialParser = (function() {
       return s0;
     }
 
+    function peg$parseProgressDefinition() {
+      var s0, s1, s2, s3, s4, s5, s6, s7;
+
+      s0 = peg$currPos;
+      if (input.substr(peg$currPos, 8) === peg$c76) {
+        s1 = peg$c76;
+        peg$currPos += 8;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c77); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parse_();
+        if (s2 !== peg$FAILED) {
+          s3 = peg$parseIdentifier();
+          if (s3 !== peg$FAILED) {
+            s4 = peg$parse_();
+            if (s4 !== peg$FAILED) {
+              if (input.charCodeAt(peg$currPos) === 61) {
+                s5 = peg$c64;
+                peg$currPos++;
+              } else {
+                s5 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c65); }
+              }
+              if (s5 !== peg$FAILED) {
+                s6 = peg$parse_();
+                if (s6 !== peg$FAILED) {
+                  s7 = peg$parseSet();
+                  if (s7 !== peg$FAILED) {
+                    peg$savedPos = s0;
+                    s1 = peg$c78(s3, s7);
+                    s0 = s1;
+                  } else {
+                    peg$currPos = s0;
+                    s0 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
     function peg$parseProcessBody() {
       var s0, s1, s2, s3, s4, s5;
 
@@ -2433,7 +2625,7 @@ initialPEG.initialParser = (function() {
               s5 = peg$parseLocalProcessDefinitions();
               if (s5 !== peg$FAILED) {
                 peg$savedPos = s0;
-                s1 = peg$c74(s1, s5);
+                s1 = peg$c79(s1, s5);
                 s0 = s1;
               } else {
                 peg$currPos = s0;
@@ -2476,7 +2668,7 @@ initialPEG.initialParser = (function() {
           }
           if (s3 !== peg$FAILED) {
             peg$savedPos = s0;
-            s1 = peg$c75(s1, s3);
+            s1 = peg$c80(s1, s3);
             s0 = s1;
           } else {
             peg$currPos = s0;
@@ -2511,7 +2703,7 @@ initialPEG.initialParser = (function() {
           s3 = peg$parseLocalProcessDefinitions();
           if (s3 !== peg$FAILED) {
             peg$savedPos = s0;
-            s1 = peg$c76(s3);
+            s1 = peg$c81(s3);
             s0 = s1;
           } else {
             peg$currPos = s0;
@@ -2557,7 +2749,7 @@ initialPEG.initialParser = (function() {
                   s7 = peg$parseLocalProcess();
                   if (s7 !== peg$FAILED) {
                     peg$savedPos = s0;
-                    s1 = peg$c77(s1, s3, s7);
+                    s1 = peg$c82(s1, s3, s7);
                     s0 = s1;
                   } else {
                     peg$currPos = s0;
@@ -2612,7 +2804,7 @@ initialPEG.initialParser = (function() {
               }
               if (s5 !== peg$FAILED) {
                 peg$savedPos = s0;
-                s1 = peg$c78(s1, s3, s5);
+                s1 = peg$c83(s1, s3, s5);
                 s0 = s1;
               } else {
                 peg$currPos = s0;
@@ -2644,12 +2836,12 @@ initialPEG.initialParser = (function() {
       s0 = peg$parseBaseLocalProcess();
       if (s0 === peg$FAILED) {
         s0 = peg$currPos;
-        if (input.substr(peg$currPos, 2) === peg$c79) {
-          s1 = peg$c79;
+        if (input.substr(peg$currPos, 2) === peg$c84) {
+          s1 = peg$c84;
           peg$currPos += 2;
         } else {
           s1 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c80); }
+          if (peg$silentFails === 0) { peg$fail(peg$c85); }
         }
         if (s1 !== peg$FAILED) {
           s2 = peg$parse_();
@@ -2658,12 +2850,12 @@ initialPEG.initialParser = (function() {
             if (s3 !== peg$FAILED) {
               s4 = peg$parse_();
               if (s4 !== peg$FAILED) {
-                if (input.substr(peg$currPos, 4) === peg$c81) {
-                  s5 = peg$c81;
+                if (input.substr(peg$currPos, 4) === peg$c86) {
+                  s5 = peg$c86;
                   peg$currPos += 4;
                 } else {
                   s5 = peg$FAILED;
-                  if (peg$silentFails === 0) { peg$fail(peg$c82); }
+                  if (peg$silentFails === 0) { peg$fail(peg$c87); }
                 }
                 if (s5 !== peg$FAILED) {
                   s6 = peg$parse_();
@@ -2672,12 +2864,12 @@ initialPEG.initialParser = (function() {
                     if (s7 !== peg$FAILED) {
                       s8 = peg$parse_();
                       if (s8 !== peg$FAILED) {
-                        if (input.substr(peg$currPos, 4) === peg$c83) {
-                          s9 = peg$c83;
+                        if (input.substr(peg$currPos, 4) === peg$c88) {
+                          s9 = peg$c88;
                           peg$currPos += 4;
                         } else {
                           s9 = peg$FAILED;
-                          if (peg$silentFails === 0) { peg$fail(peg$c84); }
+                          if (peg$silentFails === 0) { peg$fail(peg$c89); }
                         }
                         if (s9 !== peg$FAILED) {
                           s10 = peg$parse_();
@@ -2685,7 +2877,7 @@ initialPEG.initialParser = (function() {
                             s11 = peg$parseLocalProcess();
                             if (s11 !== peg$FAILED) {
                               peg$savedPos = s0;
-                              s1 = peg$c85(s3, s7, s11);
+                              s1 = peg$c90(s3, s7, s11);
                               s0 = s1;
                             } else {
                               peg$currPos = s0;
@@ -2733,12 +2925,12 @@ initialPEG.initialParser = (function() {
         }
         if (s0 === peg$FAILED) {
           s0 = peg$currPos;
-          if (input.substr(peg$currPos, 2) === peg$c79) {
-            s1 = peg$c79;
+          if (input.substr(peg$currPos, 2) === peg$c84) {
+            s1 = peg$c84;
             peg$currPos += 2;
           } else {
             s1 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c80); }
+            if (peg$silentFails === 0) { peg$fail(peg$c85); }
           }
           if (s1 !== peg$FAILED) {
             s2 = peg$parse_();
@@ -2747,12 +2939,12 @@ initialPEG.initialParser = (function() {
               if (s3 !== peg$FAILED) {
                 s4 = peg$parse_();
                 if (s4 !== peg$FAILED) {
-                  if (input.substr(peg$currPos, 4) === peg$c81) {
-                    s5 = peg$c81;
+                  if (input.substr(peg$currPos, 4) === peg$c86) {
+                    s5 = peg$c86;
                     peg$currPos += 4;
                   } else {
                     s5 = peg$FAILED;
-                    if (peg$silentFails === 0) { peg$fail(peg$c82); }
+                    if (peg$silentFails === 0) { peg$fail(peg$c87); }
                   }
                   if (s5 !== peg$FAILED) {
                     s6 = peg$parse_();
@@ -2760,7 +2952,7 @@ initialPEG.initialParser = (function() {
                       s7 = peg$parseLocalProcess();
                       if (s7 !== peg$FAILED) {
                         peg$savedPos = s0;
-                        s1 = peg$c86(s3, s7);
+                        s1 = peg$c91(s3, s7);
                         s0 = s1;
                       } else {
                         peg$currPos = s0;
@@ -2801,17 +2993,17 @@ initialPEG.initialParser = (function() {
             }
             if (s1 !== peg$FAILED) {
               peg$savedPos = s0;
-              s1 = peg$c87(s1);
+              s1 = peg$c92(s1);
             }
             s0 = s1;
             if (s0 === peg$FAILED) {
               s0 = peg$currPos;
               if (input.charCodeAt(peg$currPos) === 40) {
-                s1 = peg$c88;
+                s1 = peg$c93;
                 peg$currPos++;
               } else {
                 s1 = peg$FAILED;
-                if (peg$silentFails === 0) { peg$fail(peg$c89); }
+                if (peg$silentFails === 0) { peg$fail(peg$c94); }
               }
               if (s1 !== peg$FAILED) {
                 s2 = peg$parse_();
@@ -2827,15 +3019,15 @@ initialPEG.initialParser = (function() {
                     s4 = peg$parse_();
                     if (s4 !== peg$FAILED) {
                       if (input.charCodeAt(peg$currPos) === 41) {
-                        s5 = peg$c90;
+                        s5 = peg$c95;
                         peg$currPos++;
                       } else {
                         s5 = peg$FAILED;
-                        if (peg$silentFails === 0) { peg$fail(peg$c91); }
+                        if (peg$silentFails === 0) { peg$fail(peg$c96); }
                       }
                       if (s5 !== peg$FAILED) {
                         peg$savedPos = s0;
-                        s1 = peg$c92(s3);
+                        s1 = peg$c97(s3);
                         s0 = s1;
                       } else {
                         peg$currPos = s0;
@@ -2868,20 +3060,20 @@ initialPEG.initialParser = (function() {
     function peg$parseBaseLocalProcess() {
       var s0, s1, s2, s3;
 
-      if (input.substr(peg$currPos, 4) === peg$c93) {
-        s0 = peg$c93;
+      if (input.substr(peg$currPos, 4) === peg$c98) {
+        s0 = peg$c98;
         peg$currPos += 4;
       } else {
         s0 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c94); }
+        if (peg$silentFails === 0) { peg$fail(peg$c99); }
       }
       if (s0 === peg$FAILED) {
-        if (input.substr(peg$currPos, 5) === peg$c95) {
-          s0 = peg$c95;
+        if (input.substr(peg$currPos, 5) === peg$c100) {
+          s0 = peg$c100;
           peg$currPos += 5;
         } else {
           s0 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c96); }
+          if (peg$silentFails === 0) { peg$fail(peg$c101); }
         }
         if (s0 === peg$FAILED) {
           s0 = peg$currPos;
@@ -2895,7 +3087,7 @@ initialPEG.initialParser = (function() {
               }
               if (s3 !== peg$FAILED) {
                 peg$savedPos = s0;
-                s1 = peg$c97(s1, s3);
+                s1 = peg$c102(s1, s3);
                 s0 = s1;
               } else {
                 peg$currPos = s0;
@@ -2924,11 +3116,11 @@ initialPEG.initialParser = (function() {
         s2 = peg$parse_();
         if (s2 !== peg$FAILED) {
           if (input.charCodeAt(peg$currPos) === 40) {
-            s3 = peg$c88;
+            s3 = peg$c93;
             peg$currPos++;
           } else {
             s3 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c89); }
+            if (peg$silentFails === 0) { peg$fail(peg$c94); }
           }
           if (s3 !== peg$FAILED) {
             s4 = peg$parse_();
@@ -2952,15 +3144,15 @@ initialPEG.initialParser = (function() {
                         s10 = peg$parse_();
                         if (s10 !== peg$FAILED) {
                           if (input.charCodeAt(peg$currPos) === 41) {
-                            s11 = peg$c90;
+                            s11 = peg$c95;
                             peg$currPos++;
                           } else {
                             s11 = peg$FAILED;
-                            if (peg$silentFails === 0) { peg$fail(peg$c91); }
+                            if (peg$silentFails === 0) { peg$fail(peg$c96); }
                           }
                           if (s11 !== peg$FAILED) {
                             peg$savedPos = s0;
-                            s1 = peg$c98(s1, s5, s7, s9);
+                            s1 = peg$c103(s1, s5, s7, s9);
                             s0 = s1;
                           } else {
                             peg$currPos = s0;
@@ -3013,20 +3205,20 @@ initialPEG.initialParser = (function() {
     function peg$parseFunctionType() {
       var s0;
 
-      if (input.substr(peg$currPos, 3) === peg$c99) {
-        s0 = peg$c99;
+      if (input.substr(peg$currPos, 3) === peg$c104) {
+        s0 = peg$c104;
         peg$currPos += 3;
       } else {
         s0 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c100); }
+        if (peg$silentFails === 0) { peg$fail(peg$c105); }
       }
       if (s0 === peg$FAILED) {
-        if (input.substr(peg$currPos, 4) === peg$c101) {
-          s0 = peg$c101;
+        if (input.substr(peg$currPos, 4) === peg$c106) {
+          s0 = peg$c106;
           peg$currPos += 4;
         } else {
           s0 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c102); }
+          if (peg$silentFails === 0) { peg$fail(peg$c107); }
         }
       }
 
@@ -3054,7 +3246,7 @@ initialPEG.initialParser = (function() {
               }
               if (s5 !== peg$FAILED) {
                 peg$savedPos = s0;
-                s1 = peg$c103(s1, s3, s5);
+                s1 = peg$c108(s1, s3, s5);
                 s0 = s1;
               } else {
                 peg$currPos = s0;
@@ -3078,12 +3270,12 @@ initialPEG.initialParser = (function() {
       }
       if (s0 === peg$FAILED) {
         s0 = peg$currPos;
-        if (input.substr(peg$currPos, 6) === peg$c104) {
-          s1 = peg$c104;
+        if (input.substr(peg$currPos, 6) === peg$c109) {
+          s1 = peg$c109;
           peg$currPos += 6;
         } else {
           s1 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c105); }
+          if (peg$silentFails === 0) { peg$fail(peg$c110); }
         }
         if (s1 !== peg$FAILED) {
           s2 = peg$parse_();
@@ -3095,7 +3287,7 @@ initialPEG.initialParser = (function() {
                 s5 = peg$parseLocalProcess();
                 if (s5 !== peg$FAILED) {
                   peg$savedPos = s0;
-                  s1 = peg$c106(s3, s5);
+                  s1 = peg$c111(s3, s5);
                   s0 = s1;
                 } else {
                   peg$currPos = s0;
@@ -3139,7 +3331,7 @@ initialPEG.initialParser = (function() {
           }
           if (s3 !== peg$FAILED) {
             peg$savedPos = s0;
-            s1 = peg$c107(s1);
+            s1 = peg$c112(s1);
             s0 = s1;
           } else {
             peg$currPos = s0;
@@ -3162,11 +3354,11 @@ initialPEG.initialParser = (function() {
 
       s0 = peg$currPos;
       if (input.charCodeAt(peg$currPos) === 40) {
-        s1 = peg$c88;
+        s1 = peg$c93;
         peg$currPos++;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c89); }
+        if (peg$silentFails === 0) { peg$fail(peg$c94); }
       }
       if (s1 !== peg$FAILED) {
         s2 = peg$parse_();
@@ -3183,15 +3375,15 @@ initialPEG.initialParser = (function() {
                 s6 = peg$parse_();
                 if (s6 !== peg$FAILED) {
                   if (input.charCodeAt(peg$currPos) === 41) {
-                    s7 = peg$c90;
+                    s7 = peg$c95;
                     peg$currPos++;
                   } else {
                     s7 = peg$FAILED;
-                    if (peg$silentFails === 0) { peg$fail(peg$c91); }
+                    if (peg$silentFails === 0) { peg$fail(peg$c96); }
                   }
                   if (s7 !== peg$FAILED) {
                     peg$savedPos = s0;
-                    s1 = peg$c108(s3, s5);
+                    s1 = peg$c113(s3, s5);
                     s0 = s1;
                   } else {
                     peg$currPos = s0;
@@ -3229,12 +3421,12 @@ initialPEG.initialParser = (function() {
       var s0, s1, s2, s3, s4, s5;
 
       s0 = peg$currPos;
-      if (input.substr(peg$currPos, 2) === peg$c109) {
-        s1 = peg$c109;
+      if (input.substr(peg$currPos, 2) === peg$c114) {
+        s1 = peg$c114;
         peg$currPos += 2;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c110); }
+        if (peg$silentFails === 0) { peg$fail(peg$c115); }
       }
       if (s1 !== peg$FAILED) {
         s2 = peg$parse_();
@@ -3249,7 +3441,7 @@ initialPEG.initialParser = (function() {
               }
               if (s5 !== peg$FAILED) {
                 peg$savedPos = s0;
-                s1 = peg$c111(s3, s5);
+                s1 = peg$c116(s3, s5);
                 s0 = s1;
               } else {
                 peg$currPos = s0;
@@ -3289,7 +3481,7 @@ initialPEG.initialParser = (function() {
           }
           if (s3 !== peg$FAILED) {
             peg$savedPos = s0;
-            s1 = peg$c112(s1, s3);
+            s1 = peg$c117(s1, s3);
             s0 = s1;
           } else {
             peg$currPos = s0;
@@ -3312,11 +3504,11 @@ initialPEG.initialParser = (function() {
 
       s0 = peg$currPos;
       if (input.charCodeAt(peg$currPos) === 124) {
-        s1 = peg$c113;
+        s1 = peg$c118;
         peg$currPos++;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c114); }
+        if (peg$silentFails === 0) { peg$fail(peg$c119); }
       }
       if (s1 !== peg$FAILED) {
         s2 = peg$parse_();
@@ -3331,7 +3523,7 @@ initialPEG.initialParser = (function() {
               }
               if (s5 !== peg$FAILED) {
                 peg$savedPos = s0;
-                s1 = peg$c115(s3, s5);
+                s1 = peg$c120(s3, s5);
                 s0 = s1;
               } else {
                 peg$currPos = s0;
@@ -3371,7 +3563,7 @@ initialPEG.initialParser = (function() {
           s3 = peg$parsePrefixActions();
           if (s3 !== peg$FAILED) {
             peg$savedPos = s0;
-            s1 = peg$c116(s1, s3);
+            s1 = peg$c121(s1, s3);
             s0 = s1;
           } else {
             peg$currPos = s0;
@@ -3397,12 +3589,12 @@ initialPEG.initialParser = (function() {
       if (s1 !== peg$FAILED) {
         s2 = peg$parse_();
         if (s2 !== peg$FAILED) {
-          if (input.substr(peg$currPos, 2) === peg$c117) {
-            s3 = peg$c117;
+          if (input.substr(peg$currPos, 2) === peg$c122) {
+            s3 = peg$c122;
             peg$currPos += 2;
           } else {
             s3 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c118); }
+            if (peg$silentFails === 0) { peg$fail(peg$c123); }
           }
           if (s3 !== peg$FAILED) {
             s4 = peg$parse_();
@@ -3410,7 +3602,7 @@ initialPEG.initialParser = (function() {
               s5 = peg$parseLocalProcess();
               if (s5 !== peg$FAILED) {
                 peg$savedPos = s0;
-                s1 = peg$c119(s1, s5);
+                s1 = peg$c124(s1, s5);
                 s0 = s1;
               } else {
                 peg$currPos = s0;
@@ -3440,12 +3632,12 @@ initialPEG.initialParser = (function() {
       var s0, s1, s2, s3;
 
       s0 = peg$currPos;
-      if (input.substr(peg$currPos, 4) === peg$c120) {
-        s1 = peg$c120;
+      if (input.substr(peg$currPos, 4) === peg$c125) {
+        s1 = peg$c125;
         peg$currPos += 4;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c121); }
+        if (peg$silentFails === 0) { peg$fail(peg$c126); }
       }
       if (s1 !== peg$FAILED) {
         s2 = peg$parse_();
@@ -3453,7 +3645,7 @@ initialPEG.initialParser = (function() {
           s3 = peg$parseExpression();
           if (s3 !== peg$FAILED) {
             peg$savedPos = s0;
-            s1 = peg$c122(s3);
+            s1 = peg$c127(s3);
             s0 = s1;
           } else {
             peg$currPos = s0;
@@ -3505,7 +3697,7 @@ initialPEG.initialParser = (function() {
                   }
                   if (s7 !== peg$FAILED) {
                     peg$savedPos = s0;
-                    s1 = peg$c123(s3, s7);
+                    s1 = peg$c128(s3, s7);
                     s0 = s1;
                   } else {
                     peg$currPos = s0;
@@ -3573,7 +3765,7 @@ initialPEG.initialParser = (function() {
                   }
                   if (s7 !== peg$FAILED) {
                     peg$savedPos = s0;
-                    s1 = peg$c124(s3, s7);
+                    s1 = peg$c129(s3, s7);
                     s0 = s1;
                   } else {
                     peg$currPos = s0;
@@ -3635,7 +3827,7 @@ initialPEG.initialParser = (function() {
                     }
                     if (s7 !== peg$FAILED) {
                       peg$savedPos = s0;
-                      s1 = peg$c125(s3, s7);
+                      s1 = peg$c130(s3, s7);
                       s0 = s1;
                     } else {
                       peg$currPos = s0;
@@ -3704,7 +3896,7 @@ initialPEG.initialParser = (function() {
                   }
                   if (s7 !== peg$FAILED) {
                     peg$savedPos = s0;
-                    s1 = peg$c125(s3, s7);
+                    s1 = peg$c130(s3, s7);
                     s0 = s1;
                   } else {
                     peg$currPos = s0;
@@ -3774,7 +3966,7 @@ initialPEG.initialParser = (function() {
                     }
                     if (s8 !== peg$FAILED) {
                       peg$savedPos = s0;
-                      s1 = peg$c126(s1, s3, s4, s6);
+                      s1 = peg$c131(s1, s3, s4, s6);
                       s0 = s1;
                     } else {
                       peg$currPos = s0;
@@ -3815,55 +4007,85 @@ initialPEG.initialParser = (function() {
     function peg$parseOperationOperator() {
       var s0;
 
-      if (input.charCodeAt(peg$currPos) === 126) {
-        s0 = peg$c127;
-        peg$currPos++;
+      if (input.substr(peg$currPos, 2) === peg$c132) {
+        s0 = peg$c132;
+        peg$currPos += 2;
       } else {
         s0 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c128); }
+        if (peg$silentFails === 0) { peg$fail(peg$c133); }
+      }
+      if (s0 === peg$FAILED) {
+        if (input.charCodeAt(peg$currPos) === 8776) {
+          s0 = peg$c134;
+          peg$currPos++;
+        } else {
+          s0 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c135); }
+        }
+        if (s0 === peg$FAILED) {
+          if (input.charCodeAt(peg$currPos) === 126) {
+            s0 = peg$c136;
+            peg$currPos++;
+          } else {
+            s0 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c137); }
+          }
+          if (s0 === peg$FAILED) {
+            if (input.charCodeAt(peg$currPos) === 35) {
+              s0 = peg$c138;
+              peg$currPos++;
+            } else {
+              s0 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c139); }
+            }
+            if (s0 === peg$FAILED) {
+              if (input.substr(peg$currPos, 2) === peg$c140) {
+                s0 = peg$c140;
+                peg$currPos += 2;
+              } else {
+                s0 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c141); }
+              }
+            }
+          }
+        }
       }
 
       return s0;
     }
 
-    function peg$parseRelabel() {
+    function peg$parseAssertionDefinition() {
       var s0, s1, s2, s3, s4, s5, s6, s7;
 
       s0 = peg$currPos;
-      if (input.charCodeAt(peg$currPos) === 47) {
-        s1 = peg$c129;
-        peg$currPos++;
+      if (input.substr(peg$currPos, 6) === peg$c142) {
+        s1 = peg$c142;
+        peg$currPos += 6;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c130); }
+        if (peg$silentFails === 0) { peg$fail(peg$c143); }
       }
       if (s1 !== peg$FAILED) {
         s2 = peg$parse_();
         if (s2 !== peg$FAILED) {
-          if (input.charCodeAt(peg$currPos) === 123) {
-            s3 = peg$c53;
-            peg$currPos++;
-          } else {
-            s3 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c54); }
-          }
+          s3 = peg$parseIdentifier();
           if (s3 !== peg$FAILED) {
             s4 = peg$parse_();
             if (s4 !== peg$FAILED) {
-              s5 = peg$parseRelabelDefinitions();
+              if (input.charCodeAt(peg$currPos) === 61) {
+                s5 = peg$c64;
+                peg$currPos++;
+              } else {
+                s5 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c65); }
+              }
               if (s5 !== peg$FAILED) {
                 s6 = peg$parse_();
                 if (s6 !== peg$FAILED) {
-                  if (input.charCodeAt(peg$currPos) === 125) {
-                    s7 = peg$c55;
-                    peg$currPos++;
-                  } else {
-                    s7 = peg$FAILED;
-                    if (peg$silentFails === 0) { peg$fail(peg$c56); }
-                  }
+                  s7 = peg$parseFormula();
                   if (s7 !== peg$FAILED) {
                     peg$savedPos = s0;
-                    s1 = peg$c131(s5);
+                    s1 = peg$c144(s3, s7);
                     s0 = s1;
                   } else {
                     peg$currPos = s0;
@@ -3897,22 +4119,46 @@ initialPEG.initialParser = (function() {
       return s0;
     }
 
-    function peg$parseRelabelDefinitions() {
-      var s0, s1, s2, s3;
+    function peg$parseFormula() {
+      var s0, s1, s2, s3, s4, s5;
 
       s0 = peg$currPos;
-      s1 = peg$parseRelabelDefinition();
+      s1 = peg$parse_FormulaDisjunction();
       if (s1 !== peg$FAILED) {
         s2 = peg$parse_();
         if (s2 !== peg$FAILED) {
-          s3 = peg$parse_RelabelDefinitions();
+          if (input.substr(peg$currPos, 2) === peg$c122) {
+            s3 = peg$c122;
+            peg$currPos += 2;
+          } else {
+            s3 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c123); }
+          }
           if (s3 === peg$FAILED) {
-            s3 = null;
+            if (input.substr(peg$currPos, 3) === peg$c145) {
+              s3 = peg$c145;
+              peg$currPos += 3;
+            } else {
+              s3 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c146); }
+            }
           }
           if (s3 !== peg$FAILED) {
-            peg$savedPos = s0;
-            s1 = peg$c132(s1, s3);
-            s0 = s1;
+            s4 = peg$parse_();
+            if (s4 !== peg$FAILED) {
+              s5 = peg$parseFormula();
+              if (s5 !== peg$FAILED) {
+                peg$savedPos = s0;
+                s1 = peg$c147(s1, s3, s5);
+                s0 = s1;
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
           } else {
             peg$currPos = s0;
             s0 = peg$FAILED;
@@ -3925,31 +4171,540 @@ initialPEG.initialParser = (function() {
         peg$currPos = s0;
         s0 = peg$FAILED;
       }
+      if (s0 === peg$FAILED) {
+        s0 = peg$parse_FormulaDisjunction();
+      }
 
       return s0;
     }
 
-    function peg$parse_RelabelDefinitions() {
-      var s0, s1, s2, s3;
+    function peg$parse_FormulaDisjunction() {
+      var s0, s1, s2, s3, s4, s5;
 
       s0 = peg$currPos;
-      if (input.charCodeAt(peg$currPos) === 44) {
-        s1 = peg$c59;
-        peg$currPos++;
-      } else {
-        s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c60); }
-      }
+      s1 = peg$parse_FormulaConjunction();
       if (s1 !== peg$FAILED) {
         s2 = peg$parse_();
         if (s2 !== peg$FAILED) {
-          s3 = peg$parseRelabelDefinitions();
-          if (s3 !== peg$FAILED) {
-            peg$savedPos = s0;
-            s1 = peg$c133(s3);
-            s0 = s1;
+          if (input.substr(peg$currPos, 2) === peg$c114) {
+            s3 = peg$c114;
+            peg$currPos += 2;
           } else {
-            peg$currPos = s0;
+            s3 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c115); }
+          }
+          if (s3 !== peg$FAILED) {
+            s4 = peg$parse_();
+            if (s4 !== peg$FAILED) {
+              s5 = peg$parse_FormulaDisjunction();
+              if (s5 !== peg$FAILED) {
+                peg$savedPos = s0;
+                s1 = peg$c148(s1, s5);
+                s0 = s1;
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      if (s0 === peg$FAILED) {
+        s0 = peg$parse_FormulaConjunction();
+      }
+
+      return s0;
+    }
+
+    function peg$parse_FormulaConjunction() {
+      var s0, s1, s2, s3, s4, s5;
+
+      s0 = peg$currPos;
+      s1 = peg$parse_FormulaUntil();
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parse_();
+        if (s2 !== peg$FAILED) {
+          if (input.substr(peg$currPos, 2) === peg$c149) {
+            s3 = peg$c149;
+            peg$currPos += 2;
+          } else {
+            s3 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c150); }
+          }
+          if (s3 !== peg$FAILED) {
+            s4 = peg$parse_();
+            if (s4 !== peg$FAILED) {
+              s5 = peg$parse_FormulaConjunction();
+              if (s5 !== peg$FAILED) {
+                peg$savedPos = s0;
+                s1 = peg$c151(s1, s5);
+                s0 = s1;
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      if (s0 === peg$FAILED) {
+        s0 = peg$parse_FormulaUntil();
+      }
+
+      return s0;
+    }
+
+    function peg$parse_FormulaUntil() {
+      var s0, s1, s2, s3, s4, s5, s6, s7;
+
+      s0 = peg$currPos;
+      s1 = peg$parse_FormulaUnary();
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parse_();
+        if (s2 !== peg$FAILED) {
+          s3 = peg$currPos;
+          s4 = peg$currPos;
+          if (input.charCodeAt(peg$currPos) === 85) {
+            s5 = peg$c152;
+            peg$currPos++;
+          } else {
+            s5 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c153); }
+          }
+          if (s5 === peg$FAILED) {
+            if (input.charCodeAt(peg$currPos) === 87) {
+              s5 = peg$c154;
+              peg$currPos++;
+            } else {
+              s5 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c155); }
+            }
+          }
+          if (s5 !== peg$FAILED) {
+            s6 = peg$currPos;
+            peg$silentFails++;
+            if (peg$c5.test(input.charAt(peg$currPos))) {
+              s7 = input.charAt(peg$currPos);
+              peg$currPos++;
+            } else {
+              s7 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c6); }
+            }
+            peg$silentFails--;
+            if (s7 === peg$FAILED) {
+              s6 = void 0;
+            } else {
+              peg$currPos = s6;
+              s6 = peg$FAILED;
+            }
+            if (s6 !== peg$FAILED) {
+              s5 = [s5, s6];
+              s4 = s5;
+            } else {
+              peg$currPos = s4;
+              s4 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s4;
+            s4 = peg$FAILED;
+          }
+          if (s4 !== peg$FAILED) {
+            s3 = input.substring(s3, peg$currPos);
+          } else {
+            s3 = s4;
+          }
+          if (s3 !== peg$FAILED) {
+            s4 = peg$parse_();
+            if (s4 !== peg$FAILED) {
+              s5 = peg$parse_FormulaUntil();
+              if (s5 !== peg$FAILED) {
+                peg$savedPos = s0;
+                s1 = peg$c147(s1, s3, s5);
+                s0 = s1;
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      if (s0 === peg$FAILED) {
+        s0 = peg$parse_FormulaUnary();
+      }
+
+      return s0;
+    }
+
+    function peg$parse_FormulaUnary() {
+      var s0, s1, s2, s3, s4, s5;
+
+      s0 = peg$currPos;
+      s1 = peg$currPos;
+      if (input.charCodeAt(peg$currPos) === 33) {
+        s2 = peg$c41;
+        peg$currPos++;
+      } else {
+        s2 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c42); }
+      }
+      if (s2 === peg$FAILED) {
+        if (input.substr(peg$currPos, 2) === peg$c156) {
+          s2 = peg$c156;
+          peg$currPos += 2;
+        } else {
+          s2 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c157); }
+        }
+        if (s2 === peg$FAILED) {
+          if (input.substr(peg$currPos, 2) === peg$c158) {
+            s2 = peg$c158;
+            peg$currPos += 2;
+          } else {
+            s2 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c159); }
+          }
+          if (s2 === peg$FAILED) {
+            s2 = peg$currPos;
+            if (input.charCodeAt(peg$currPos) === 88) {
+              s3 = peg$c160;
+              peg$currPos++;
+            } else {
+              s3 = peg$FAILED;
+              if (peg$silentFails === 0) { peg$fail(peg$c161); }
+            }
+            if (s3 !== peg$FAILED) {
+              s4 = peg$currPos;
+              peg$silentFails++;
+              if (peg$c5.test(input.charAt(peg$currPos))) {
+                s5 = input.charAt(peg$currPos);
+                peg$currPos++;
+              } else {
+                s5 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c6); }
+              }
+              peg$silentFails--;
+              if (s5 === peg$FAILED) {
+                s4 = void 0;
+              } else {
+                peg$currPos = s4;
+                s4 = peg$FAILED;
+              }
+              if (s4 !== peg$FAILED) {
+                s3 = [s3, s4];
+                s2 = s3;
+              } else {
+                peg$currPos = s2;
+                s2 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s2;
+              s2 = peg$FAILED;
+            }
+          }
+        }
+      }
+      if (s2 !== peg$FAILED) {
+        s1 = input.substring(s1, peg$currPos);
+      } else {
+        s1 = s2;
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parse_();
+        if (s2 !== peg$FAILED) {
+          s3 = peg$parse_FormulaUnary();
+          if (s3 !== peg$FAILED) {
+            peg$savedPos = s0;
+            s1 = peg$c162(s1, s3);
+            s0 = s1;
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      if (s0 === peg$FAILED) {
+        s0 = peg$parse_FormulaTerm();
+      }
+
+      return s0;
+    }
+
+    function peg$parse_FormulaTerm() {
+      var s0, s1, s2, s3, s4, s5;
+
+      s0 = peg$currPos;
+      if (input.charCodeAt(peg$currPos) === 40) {
+        s1 = peg$c93;
+        peg$currPos++;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c94); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parse_();
+        if (s2 !== peg$FAILED) {
+          s3 = peg$parseFormula();
+          if (s3 !== peg$FAILED) {
+            s4 = peg$parse_();
+            if (s4 !== peg$FAILED) {
+              if (input.charCodeAt(peg$currPos) === 41) {
+                s5 = peg$c95;
+                peg$currPos++;
+              } else {
+                s5 = peg$FAILED;
+                if (peg$silentFails === 0) { peg$fail(peg$c96); }
+              }
+              if (s5 !== peg$FAILED) {
+                peg$savedPos = s0;
+                s1 = peg$c163(s3);
+                s0 = s1;
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+      if (s0 === peg$FAILED) {
+        s0 = peg$currPos;
+        s1 = peg$currPos;
+        if (input.substr(peg$currPos, 4) === peg$c164) {
+          s2 = peg$c164;
+          peg$currPos += 4;
+        } else {
+          s2 = peg$FAILED;
+          if (peg$silentFails === 0) { peg$fail(peg$c165); }
+        }
+        if (s2 === peg$FAILED) {
+          if (input.substr(peg$currPos, 5) === peg$c166) {
+            s2 = peg$c166;
+            peg$currPos += 5;
+          } else {
+            s2 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c167); }
+          }
+        }
+        if (s2 !== peg$FAILED) {
+          s3 = peg$currPos;
+          peg$silentFails++;
+          if (peg$c5.test(input.charAt(peg$currPos))) {
+            s4 = input.charAt(peg$currPos);
+            peg$currPos++;
+          } else {
+            s4 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c6); }
+          }
+          peg$silentFails--;
+          if (s4 === peg$FAILED) {
+            s3 = void 0;
+          } else {
+            peg$currPos = s3;
+            s3 = peg$FAILED;
+          }
+          if (s3 !== peg$FAILED) {
+            s2 = [s2, s3];
+            s1 = s2;
+          } else {
+            peg$currPos = s1;
+            s1 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s1;
+          s1 = peg$FAILED;
+        }
+        if (s1 !== peg$FAILED) {
+          s0 = input.substring(s0, peg$currPos);
+        } else {
+          s0 = s1;
+        }
+        if (s0 === peg$FAILED) {
+          s0 = peg$parseActionLabel();
+        }
+      }
+
+      return s0;
+    }
+
+    function peg$parseRelabel() {
+      var s0, s1, s2, s3, s4, s5, s6, s7;
+
+      s0 = peg$currPos;
+      if (input.charCodeAt(peg$currPos) === 47) {
+        s1 = peg$c168;
+        peg$currPos++;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c169); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parse_();
+        if (s2 !== peg$FAILED) {
+          if (input.charCodeAt(peg$currPos) === 123) {
+            s3 = peg$c53;
+            peg$currPos++;
+          } else {
+            s3 = peg$FAILED;
+            if (peg$silentFails === 0) { peg$fail(peg$c54); }
+          }
+          if (s3 !== peg$FAILED) {
+            s4 = peg$parse_();
+            if (s4 !== peg$FAILED) {
+              s5 = peg$parseRelabelDefinitions();
+              if (s5 !== peg$FAILED) {
+                s6 = peg$parse_();
+                if (s6 !== peg$FAILED) {
+                  if (input.charCodeAt(peg$currPos) === 125) {
+                    s7 = peg$c55;
+                    peg$currPos++;
+                  } else {
+                    s7 = peg$FAILED;
+                    if (peg$silentFails === 0) { peg$fail(peg$c56); }
+                  }
+                  if (s7 !== peg$FAILED) {
+                    peg$savedPos = s0;
+                    s1 = peg$c170(s5);
+                    s0 = s1;
+                  } else {
+                    peg$currPos = s0;
+                    s0 = peg$FAILED;
+                  }
+                } else {
+                  peg$currPos = s0;
+                  s0 = peg$FAILED;
+                }
+              } else {
+                peg$currPos = s0;
+                s0 = peg$FAILED;
+              }
+            } else {
+              peg$currPos = s0;
+              s0 = peg$FAILED;
+            }
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parseRelabelDefinitions() {
+      var s0, s1, s2, s3;
+
+      s0 = peg$currPos;
+      s1 = peg$parseRelabelDefinition();
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parse_();
+        if (s2 !== peg$FAILED) {
+          s3 = peg$parse_RelabelDefinitions();
+          if (s3 === peg$FAILED) {
+            s3 = null;
+          }
+          if (s3 !== peg$FAILED) {
+            peg$savedPos = s0;
+            s1 = peg$c171(s1, s3);
+            s0 = s1;
+          } else {
+            peg$currPos = s0;
+            s0 = peg$FAILED;
+          }
+        } else {
+          peg$currPos = s0;
+          s0 = peg$FAILED;
+        }
+      } else {
+        peg$currPos = s0;
+        s0 = peg$FAILED;
+      }
+
+      return s0;
+    }
+
+    function peg$parse_RelabelDefinitions() {
+      var s0, s1, s2, s3;
+
+      s0 = peg$currPos;
+      if (input.charCodeAt(peg$currPos) === 44) {
+        s1 = peg$c59;
+        peg$currPos++;
+      } else {
+        s1 = peg$FAILED;
+        if (peg$silentFails === 0) { peg$fail(peg$c60); }
+      }
+      if (s1 !== peg$FAILED) {
+        s2 = peg$parse_();
+        if (s2 !== peg$FAILED) {
+          s3 = peg$parseRelabelDefinitions();
+          if (s3 !== peg$FAILED) {
+            peg$savedPos = s0;
+            s1 = peg$c172(s3);
+            s0 = s1;
+          } else {
+            peg$currPos = s0;
             s0 = peg$FAILED;
           }
         } else {
@@ -3973,11 +4728,11 @@ initialPEG.initialParser = (function() {
         s2 = peg$parse_();
         if (s2 !== peg$FAILED) {
           if (input.charCodeAt(peg$currPos) === 47) {
-            s3 = peg$c129;
+            s3 = peg$c168;
             peg$currPos++;
           } else {
             s3 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c130); }
+            if (peg$silentFails === 0) { peg$fail(peg$c169); }
           }
           if (s3 !== peg$FAILED) {
             s4 = peg$parse_();
@@ -3985,7 +4740,7 @@ initialPEG.initialParser = (function() {
               s5 = peg$parseActionLabels();
               if (s5 !== peg$FAILED) {
                 peg$savedPos = s0;
-                s1 = peg$c134(s1, s5);
+                s1 = peg$c173(s1, s5);
                 s0 = s1;
               } else {
                 peg$currPos = s0;
@@ -4009,12 +4764,12 @@ initialPEG.initialParser = (function() {
       }
       if (s0 === peg$FAILED) {
         s0 = peg$currPos;
-        if (input.substr(peg$currPos, 6) === peg$c104) {
-          s1 = peg$c104;
+        if (input.substr(peg$currPos, 6) === peg$c109) {
+          s1 = peg$c109;
           peg$currPos += 6;
         } else {
           s1 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c105); }
+          if (peg$silentFails === 0) { peg$fail(peg$c110); }
         }
         if (s1 !== peg$FAILED) {
           s2 = peg$parse_();
@@ -4046,7 +4801,7 @@ initialPEG.initialParser = (function() {
                         }
                         if (s9 !== peg$FAILED) {
                           peg$savedPos = s0;
-                          s1 = peg$c135(s3, s7);
+                          s1 = peg$c174(s3, s7);
                           s0 = s1;
                         } else {
                           peg$currPos = s0;
@@ -4094,17 +4849,17 @@ initialPEG.initialParser = (function() {
 
       s0 = peg$currPos;
       if (input.charCodeAt(peg$currPos) === 92) {
-        s1 = peg$c136;
+        s1 = peg$c175;
         peg$currPos++;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c137); }
+        if (peg$silentFails === 0) { peg$fail(peg$c176); }
       }
       if (s1 !== peg$FAILED) {
         s2 = peg$parseSet();
         if (s2 !== peg$FAILED) {
           peg$savedPos = s0;
-          s1 = peg$c138(s2);
+          s1 = peg$c177(s2);
           s0 = s1;
         } else {
           peg$currPos = s0;
@@ -4117,17 +4872,17 @@ initialPEG.initialParser = (function() {
       if (s0 === peg$FAILED) {
         s0 = peg$currPos;
         if (input.charCodeAt(peg$currPos) === 64) {
-          s1 = peg$c139;
+          s1 = peg$c178;
           peg$currPos++;
         } else {
           s1 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c140); }
+          if (peg$silentFails === 0) { peg$fail(peg$c179); }
         }
         if (s1 !== peg$FAILED) {
           s2 = peg$parseSet();
           if (s2 !== peg$FAILED) {
             peg$savedPos = s0;
-            s1 = peg$c141(s2);
+            s1 = peg$c180(s2);
             s0 = s1;
           } else {
             peg$currPos = s0;
@@ -4157,7 +4912,7 @@ initialPEG.initialParser = (function() {
               s5 = peg$parseExpression();
               if (s5 !== peg$FAILED) {
                 peg$savedPos = s0;
-                s1 = peg$c142(s1, s3, s5);
+                s1 = peg$c181(s1, s3, s5);
                 s0 = s1;
               } else {
                 peg$currPos = s0;
@@ -4197,17 +4952,17 @@ initialPEG.initialParser = (function() {
           s1 = peg$parseIdentifier();
           if (s1 !== peg$FAILED) {
             peg$savedPos = s0;
-            s1 = peg$c143(s1);
+            s1 = peg$c182(s1);
           }
           s0 = s1;
           if (s0 === peg$FAILED) {
             s0 = peg$currPos;
             if (input.charCodeAt(peg$currPos) === 40) {
-              s1 = peg$c88;
+              s1 = peg$c93;
               peg$currPos++;
             } else {
               s1 = peg$FAILED;
-              if (peg$silentFails === 0) { peg$fail(peg$c89); }
+              if (peg$silentFails === 0) { peg$fail(peg$c94); }
             }
             if (s1 !== peg$FAILED) {
               s2 = peg$parse_();
@@ -4217,15 +4972,15 @@ initialPEG.initialParser = (function() {
                   s4 = peg$parse_();
                   if (s4 !== peg$FAILED) {
                     if (input.charCodeAt(peg$currPos) === 41) {
-                      s5 = peg$c90;
+                      s5 = peg$c95;
                       peg$currPos++;
                     } else {
                       s5 = peg$FAILED;
-                      if (peg$silentFails === 0) { peg$fail(peg$c91); }
+                      if (peg$silentFails === 0) { peg$fail(peg$c96); }
                     }
                     if (s5 !== peg$FAILED) {
                       peg$savedPos = s0;
-                      s1 = peg$c144(s3);
+                      s1 = peg$c183(s3);
                       s0 = s1;
                     } else {
                       peg$currPos = s0;
@@ -4262,14 +5017,14 @@ initialPEG.initialParser = (function() {
       if (s1 !== peg$FAILED) {
         s2 = peg$parse_();
         if (s2 !== peg$FAILED) {
-          s3 = peg$parseSimpleOperator();
+          s3 = peg$parseArithmeticOperator();
           if (s3 !== peg$FAILED) {
             s4 = peg$parse_();
             if (s4 !== peg$FAILED) {
               s5 = peg$parseSimpleExpression();
               if (s5 !== peg$FAILED) {
                 peg$savedPos = s0;
-                s1 = peg$c145(s1, s3, s5);
+                s1 = peg$c184(s1, s3, s5);
                 s0 = s1;
               } else {
                 peg$currPos = s0;
@@ -4309,17 +5064,17 @@ initialPEG.initialParser = (function() {
           s1 = peg$parseIdentifier();
           if (s1 !== peg$FAILED) {
             peg$savedPos = s0;
-            s1 = peg$c143(s1);
+            s1 = peg$c182(s1);
           }
           s0 = s1;
           if (s0 === peg$FAILED) {
             s0 = peg$currPos;
             if (input.charCodeAt(peg$currPos) === 40) {
-              s1 = peg$c88;
+              s1 = peg$c93;
               peg$currPos++;
             } else {
               s1 = peg$FAILED;
-              if (peg$silentFails === 0) { peg$fail(peg$c89); }
+              if (peg$silentFails === 0) { peg$fail(peg$c94); }
             }
             if (s1 !== peg$FAILED) {
               s2 = peg$parse_();
@@ -4329,15 +5084,15 @@ initialPEG.initialParser = (function() {
                   s4 = peg$parse_();
                   if (s4 !== peg$FAILED) {
                     if (input.charCodeAt(peg$currPos) === 41) {
-                      s5 = peg$c90;
+                      s5 = peg$c95;
                       peg$currPos++;
                     } else {
                       s5 = peg$FAILED;
-                      if (peg$silentFails === 0) { peg$fail(peg$c91); }
+                      if (peg$silentFails === 0) { peg$fail(peg$c96); }
                     }
                     if (s5 !== peg$FAILED) {
                       peg$savedPos = s0;
-                      s1 = peg$c144(s3);
+                      s1 = peg$c183(s3);
                       s0 = s1;
                     } else {
                       peg$currPos = s0;
@@ -4369,111 +5124,111 @@ initialPEG.initialParser = (function() {
     function peg$parseOperator() {
       var s0;
 
-      if (input.substr(peg$currPos, 2) === peg$c109) {
-        s0 = peg$c109;
+      if (input.substr(peg$currPos, 2) === peg$c114) {
+        s0 = peg$c114;
         peg$currPos += 2;
       } else {
         s0 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c110); }
+        if (peg$silentFails === 0) { peg$fail(peg$c115); }
       }
       if (s0 === peg$FAILED) {
-        if (input.substr(peg$currPos, 2) === peg$c146) {
-          s0 = peg$c146;
+        if (input.substr(peg$currPos, 2) === peg$c149) {
+          s0 = peg$c149;
           peg$currPos += 2;
         } else {
           s0 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c147); }
+          if (peg$silentFails === 0) { peg$fail(peg$c150); }
         }
         if (s0 === peg$FAILED) {
           if (input.charCodeAt(peg$currPos) === 124) {
-            s0 = peg$c113;
+            s0 = peg$c118;
             peg$currPos++;
           } else {
             s0 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c114); }
+            if (peg$silentFails === 0) { peg$fail(peg$c119); }
           }
           if (s0 === peg$FAILED) {
             if (input.charCodeAt(peg$currPos) === 94) {
-              s0 = peg$c148;
+              s0 = peg$c185;
               peg$currPos++;
             } else {
               s0 = peg$FAILED;
-              if (peg$silentFails === 0) { peg$fail(peg$c149); }
+              if (peg$silentFails === 0) { peg$fail(peg$c186); }
             }
             if (s0 === peg$FAILED) {
               if (input.charCodeAt(peg$currPos) === 38) {
-                s0 = peg$c150;
+                s0 = peg$c187;
                 peg$currPos++;
               } else {
                 s0 = peg$FAILED;
-                if (peg$silentFails === 0) { peg$fail(peg$c151); }
+                if (peg$silentFails === 0) { peg$fail(peg$c188); }
               }
               if (s0 === peg$FAILED) {
-                if (input.substr(peg$currPos, 2) === peg$c152) {
-                  s0 = peg$c152;
+                if (input.substr(peg$currPos, 2) === peg$c189) {
+                  s0 = peg$c189;
                   peg$currPos += 2;
                 } else {
                   s0 = peg$FAILED;
-                  if (peg$silentFails === 0) { peg$fail(peg$c153); }
+                  if (peg$silentFails === 0) { peg$fail(peg$c190); }
                 }
                 if (s0 === peg$FAILED) {
-                  if (input.substr(peg$currPos, 2) === peg$c154) {
-                    s0 = peg$c154;
+                  if (input.substr(peg$currPos, 2) === peg$c191) {
+                    s0 = peg$c191;
                     peg$currPos += 2;
                   } else {
                     s0 = peg$FAILED;
-                    if (peg$silentFails === 0) { peg$fail(peg$c155); }
+                    if (peg$silentFails === 0) { peg$fail(peg$c192); }
                   }
                   if (s0 === peg$FAILED) {
-                    if (input.substr(peg$currPos, 2) === peg$c156) {
-                      s0 = peg$c156;
+                    if (input.substr(peg$currPos, 2) === peg$c193) {
+                      s0 = peg$c193;
                       peg$currPos += 2;
                     } else {
                       s0 = peg$FAILED;
-                      if (peg$silentFails === 0) { peg$fail(peg$c157); }
+                      if (peg$silentFails === 0) { peg$fail(peg$c194); }
                     }
                     if (s0 === peg$FAILED) {
-                      if (input.substr(peg$currPos, 2) === peg$c158) {
-                        s0 = peg$c158;
+                      if (input.substr(peg$currPos, 2) === peg$c195) {
+                        s0 = peg$c195;
                         peg$currPos += 2;
                       } else {
                         s0 = peg$FAILED;
-                        if (peg$silentFails === 0) { peg$fail(peg$c159); }
+                        if (peg$silentFails === 0) { peg$fail(peg$c196); }
                       }
                       if (s0 === peg$FAILED) {
-                        if (input.substr(peg$currPos, 2) === peg$c160) {
-                          s0 = peg$c160;
+                        if (input.substr(peg$currPos, 2) === peg$c140) {
+                          s0 = peg$c140;
                           peg$currPos += 2;
                         } else {
                           s0 = peg$FAILED;
-                          if (peg$silentFails === 0) { peg$fail(peg$c161); }
+                          if (peg$silentFails === 0) { peg$fail(peg$c141); }
                         }
                         if (s0 === peg$FAILED) {
                           if (input.charCodeAt(peg$currPos) === 60) {
-                            s0 = peg$c162;
+                            s0 = peg$c197;
                             peg$currPos++;
                           } else {
                             s0 = peg$FAILED;
-                            if (peg$silentFails === 0) { peg$fail(peg$c163); }
+                            if (peg$silentFails === 0) { peg$fail(peg$c198); }
                           }
                           if (s0 === peg$FAILED) {
-                            if (input.substr(peg$currPos, 2) === peg$c164) {
-                              s0 = peg$c164;
+                            if (input.substr(peg$currPos, 2) === peg$c199) {
+                              s0 = peg$c199;
                               peg$currPos += 2;
                             } else {
                               s0 = peg$FAILED;
-                              if (peg$silentFails === 0) { peg$fail(peg$c165); }
+                              if (peg$silentFails === 0) { peg$fail(peg$c200); }
                             }
                             if (s0 === peg$FAILED) {
                               if (input.charCodeAt(peg$currPos) === 62) {
-                                s0 = peg$c166;
+                                s0 = peg$c201;
                                 peg$currPos++;
                               } else {
                                 s0 = peg$FAILED;
-                                if (peg$silentFails === 0) { peg$fail(peg$c167); }
+                                if (peg$silentFails === 0) { peg$fail(peg$c202); }
                               }
                               if (s0 === peg$FAILED) {
-                                s0 = peg$parseSimpleOperator();
+                                s0 = peg$parseArithmeticOperator();
                               }
                             }
                           }
@@ -4491,47 +5246,47 @@ initialPEG.initialParser = (function() {
       return s0;
     }
 
-    function peg$parseSimpleOperator() {
+    function peg$parseArithmeticOperator() {
       var s0;
 
       if (input.charCodeAt(peg$currPos) === 43) {
-        s0 = peg$c168;
+        s0 = peg$c203;
         peg$currPos++;
       } else {
         s0 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c169); }
+        if (peg$silentFails === 0) { peg$fail(peg$c204); }
       }
       if (s0 === peg$FAILED) {
         if (input.charCodeAt(peg$currPos) === 45) {
-          s0 = peg$c170;
+          s0 = peg$c205;
           peg$currPos++;
         } else {
           s0 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c171); }
+          if (peg$silentFails === 0) { peg$fail(peg$c206); }
         }
         if (s0 === peg$FAILED) {
           if (input.charCodeAt(peg$currPos) === 42) {
-            s0 = peg$c172;
+            s0 = peg$c207;
             peg$currPos++;
           } else {
             s0 = peg$FAILED;
-            if (peg$silentFails === 0) { peg$fail(peg$c173); }
+            if (peg$silentFails === 0) { peg$fail(peg$c208); }
           }
           if (s0 === peg$FAILED) {
             if (input.charCodeAt(peg$currPos) === 47) {
-              s0 = peg$c129;
+              s0 = peg$c168;
               peg$currPos++;
             } else {
               s0 = peg$FAILED;
-              if (peg$silentFails === 0) { peg$fail(peg$c130); }
+              if (peg$silentFails === 0) { peg$fail(peg$c169); }
             }
             if (s0 === peg$FAILED) {
               if (input.charCodeAt(peg$currPos) === 37) {
-                s0 = peg$c174;
+                s0 = peg$c209;
                 peg$currPos++;
               } else {
                 s0 = peg$FAILED;
-                if (peg$silentFails === 0) { peg$fail(peg$c175); }
+                if (peg$silentFails === 0) { peg$fail(peg$c210); }
               }
             }
           }
@@ -4546,59 +5301,73 @@ initialPEG.initialParser = (function() {
 
       peg$silentFails++;
       s0 = [];
-      if (peg$c177.test(input.charAt(peg$currPos))) {
+      if (peg$c212.test(input.charAt(peg$currPos))) {
         s1 = input.charAt(peg$currPos);
         peg$currPos++;
       } else {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c178); }
+        if (peg$silentFails === 0) { peg$fail(peg$c213); }
       }
       while (s1 !== peg$FAILED) {
         s0.push(s1);
-        if (peg$c177.test(input.charAt(peg$currPos))) {
+        if (peg$c212.test(input.charAt(peg$currPos))) {
           s1 = input.charAt(peg$currPos);
           peg$currPos++;
         } else {
           s1 = peg$FAILED;
-          if (peg$silentFails === 0) { peg$fail(peg$c178); }
+          if (peg$silentFails === 0) { peg$fail(peg$c213); }
         }
       }
       peg$silentFails--;
       if (s0 === peg$FAILED) {
         s1 = peg$FAILED;
-        if (peg$silentFails === 0) { peg$fail(peg$c176); }
+        if (peg$silentFails === 0) { peg$fail(peg$c211); }
       }
 
       return s0;
     }
 
 
-        var keywords = ['const', 'range', 'set', 'if', 'then', 'else', 'when', 'forall', 'abs', 'simp'];
+        var keywords = ['const', 'range', 'set', 'if', 'then', 'else', 'when', 'forall', 'abs', 'simp', 'property', 'progress', 'assert'];
         
         var variableMap = {};
         var processes = {};
         var operations = [];
+        var progress = [];
+        var assertions = [];
         
         var localDependencies = {};
         var dependencies = {};
         
+        /**
+         * Returns the constant associated with the specified identifier.
+         */
         function getConstant(ident){
             var variable = variableMap[ident];
             return (variable == undefined) ? ident : variable;
         }
         
+        /**
+         * Throws an error if the specified identifier is invalid.
+         */
         function isValidIdentifier(ident){
             if(variableMap[ident] != undefined || processes[ident] != undefined){
                 error('The identifier \'' + ident + '\' has already been defined.');
             }
         }
         
+        /**
+         * Throws an error if the specified constant is invalid
+         */
         function isValidConstant(ident){
             if(variableMap[ident] == undefined){
                 error('The identifier \'' + ident + '\' has not been defined.');
             }
         }
         
+        /**
+         * Throws an error if the specified action label is invalid.
+         */
         function isValidActionLabel(label){
             for(var i = 0; i < keywords.length; i++){
                 if(label == keywords[i]){
@@ -34,6 +34,7 @@
         if (!build) {
           // if there is nothing to parse then do not continue
           if (code.length === 0) {
+            app.$.parser.cancel();
             app.$.console.clear();
             app.automata = [];
             app.previousCode = '';
@@ -53,57 +54,123 @@
         // re-get code to ensure correct line positions for annotations and error highlighting
         code = app.$.editor.code;
 
-        var automata = [];
-        var operations;
-        var positions;
-        var compileTime;
-
-        try {
-          var result = app.$.parser.parse(code, app.settings.liveBuilding, app.settings.fairAbstraction);
-          automata = result.automata;
-          operations = result.operations.operations;
-          positions = result.operations.positions;
-        } catch (e) {
-          var buildErrorMessage = function(e) {
-            return e.location !== undefined ?
-              'on line ' + e.location.start.line + ', col ' + e.location.start.column + ' - ' + e.message :
-              e.message;
-          };
+        var buildErrorMessage = function(e) {
+          return e.location !== undefined ?
+            'on line ' + e.location.start.line + ', col ' + e.location.start.column + ' - ' + e.message :
+            e.message;
+        };
+
+        // compile in a web worker so that the editor is not blocked
+        // this replaces any previous compilation that is still in progress
+        var limits = {states: app.settings.stateLimit, transitions: app.settings.transitionLimit};
+        var isBuilding = app.settings.liveBuilding || build;
+        app.$.parser.compile(code, isBuilding, app.settings.fairAbstraction, limits, app.importedAutomata).then(function(result) {
+          var compileTime = Math.max(1, ((new Date()).getTime() - compileStartTime)) / 1000;
+          var operations = Object.keys(result.operations).map(function(key) {
+            return result.operations[key];
+          });
+
+          app.$.console.clear(1);
+          app.$.console.log('Compiled successfully in ' + compileTime.toFixed(3) + ' seconds.');
+
+          // only print out operations results if the were operations performed
+          if (operations.length > 0) {
+            app.$.console.log('Operations:');
+            for (var i = 0; i < operations.length; i++) {
+              var output = app.describeOperation(operations[i]);
+              for (var j = 0; j < output.length; j++) {
+                app.$.console.log('  ' + output[j]);
+              }
+
+              // assertions can be clicked on to walk their counterexample
+              if (operations[i].position !== undefined) {
+                var line = operations[i].position.start.line - 1;
+                var data = (operations[i].counterexample !== undefined) ? operations[i] : undefined;
+                app.$.editor.addAnnotation(line, output.join('\n'), 'info', data);
+              }
+            }
+            app.$.console.log();
+          }
+
+          // print out any violations found when checking the processes
+          if (result.violations.length > 0) {
+            app.$.console.warn('Violations:');
+            result.violations.forEach(function(violation) {
+              var output = app.describeViolation(violation);
+              output.forEach(function(text) {
+                app.$.console.warn('  ' + text);
+              });
+
+              // deadlocks can be clicked on to highlight the deadlocked state
+              if (violation.position !== undefined) {
+                var data = (violation.type === 'deadlock') ? violation : undefined;
+                app.$.editor.addAnnotation(violation.position.start.line - 1, output.join('\n'), 'warning', data);
+              }
+            });
+            app.$.console.log();
+          }
+
+          // only render if live building is checked or the compile and build button was pressed
+          if (isBuilding) {
+            app.build(result.automata);
+          }
+        }, function(e) {
+          // a newer compilation has replaced this one
+          if (e.constructor === app.$.parser.CompilationCancelled) {
+            return;
+          }
 
           var isInterpreterException = e.constructor === app.$.parser.InterpreterException;
           var prefix = isInterpreterException ? 'Error: ' : 'Syntax error ';
 
-          compileTime = Math.max(1, ((new Date()).getTime() - compileStartTime)) / 1000;
+          var compileTime = Math.max(1, ((new Date()).getTime() - compileStartTime)) / 1000;
           app.$.console.clear(1);
           app.$.console.log('Compulation failed after ' + compileTime.toFixed(3) + ' seconds.');
           app.$.console.error(prefix + buildErrorMessage(e));
-          return;
-        }
+        });
+      });
+    };
 
-        compileTime = Math.max(1, ((new Date()).getTime() - compileStartTime)) / 1000;
-        app.$.console.clear(1);
-        app.$.console.log('Compiled successfully in ' + compileTime.toFixed(3) + ' seconds.');
-
-        // only print out operations results if the were operations performed
-        if (operations.length > 0) {
-          app.$.console.log('Operations:');
-          for (var i = 0; i < operations.length; i++) {
-            app.$.console.log('  ' + operations[i]);
-            // skip over the display of totals
-            if (i !== 0) {
-              var pos = positions[i - 1];
-              var line = pos.start.line - 1;
-              app.$.editor.addAnnotation(line, operations[i], 'info');
-            }
-          }
-          app.$.console.log();
-        }
+    /**
+     * Describe the result of an operation.
+     * The first line is the operation and its result, any following lines explain why
+     * the processes in the operation differ, or why a process violates an assertion.
+     *
+     * @param {!Object} operation - an operation result returned by the parser
+     * @returns {String[]} the lines describing the operation
+     */
+    app.describeOperation = function(operation) {
+      var output = [operation.input + ' = ' + operation.result];
+      if (operation.trace !== undefined) {
+        output.push('  distinguishing trace: ' + operation.trace.join(', '));
+      }
+      if (operation.formula !== undefined) {
+        output.push('  distinguishing formula: ' + operation.formula);
+      }
+      if (operation.counterexample !== undefined) {
+        var prefix = operation.counterexample.prefix;
+        var cycle = operation.counterexample.cycle;
+        output.push('  counterexample prefix: ' + (prefix.length > 0 ? prefix.join(', ') : '(empty)'));
+        output.push('  counterexample cycle: ' + (cycle.length > 0 ? cycle.join(', ') : '(empty)'));
+      }
+      return output;
+    };
 
-        // only render if live building is checked or the compile and build button was pressed
-        if (app.settings.liveBuilding || build) {
-          app.build(automata);
-        }
-      });
+    /**
+     * Describe a violation found when checking a process.
+     * The first line describes the violation and the second is the shortest trace to it,
+     * followed by the actions in the cycle the process is stuck in for progress violations.
+     *
+     * @param {!Object} violation - a violation returned by the parser
+     * @returns {String[]} the lines describing the violation
+     */
+    app.describeViolation = function(violation) {
+      var trace = violation.trace.length > 0 ? violation.trace.join(', ') : '(empty)';
+      var output = [violation.message, '  trace: ' + trace];
+      if (violation.cycle !== undefined) {
+        output.push('  cycle: ' + violation.cycle.join(', '));
+      }
+      return output;
     };
 
     /**
@@ -112,7 +179,12 @@
      * @param {Automaton[]} automata - automata to build
      */
     app.build = function(automata) {
-      if (automata.length > 0) {
+      // automata that are the same as the ones already displayed are not rendered again
+      var automataToRender = automata.filter(function(automaton, i) {
+        return automaton !== app.automata[i];
+      }).length;
+
+      if (automataToRender > 0) {
         app.$.console.log('Rendering...');
 
         var renderStartTime = (new Date()).getTime();
@@ -122,7 +194,7 @@
         var automataRendered = 0;
         var renderComplete = function() {
           automataRendered++;
-          if (automataRendered === app.automata.length) {
+          if (automataRendered === automataToRender) {
             var renderTime = Math.max(1, ((new Date()).getTime() - renderStartTime)) / 1000;
             app.$.console.clear(1);
             app.$.console.log('Rendered successfully in ' + renderTime.toFixed(3) + ' seconds.');
@@ -192,6 +264,73 @@
       };
     };
 
+    /**
+     * Import an Aldebaran (.aut) file from the user's computer.
+     * The automaton is named after the file and can be used in the code like any other process,
+     * for example to compare it with a process using `~`.
+     */
+    app.importAutomaton = function() {
+      var opener = app.$['import-file'];
+      opener.click();
+      opener.onchange = function(e) {
+        if (opener.value === '') {
+          return;
+        }
+        var file = e.target.files[0];
+        var reader = new FileReader();
+        reader.onload = function() {
+          var name = app.getImportName(file.name);
+          app.importedAutomata[name] = reader.result;
+          app.$.editor.focus();
+
+          // recompile even though the code has not changed
+          app.previousCode = undefined;
+          app.compile(false);
+        };
+        reader.readAsText(file);
+        opener.value = '';
+      };
+    };
+
+    /**
+     * Returns the name that an imported file is given in the code.
+     * This is the file's name without its extension, changed to be a valid process name.
+     *
+     * @param {!String} filename - the name of the imported file
+     * @returns {String} the name of the imported automaton
+     */
+    app.getImportName = function(filename) {
+      var name = filename.replace(/\.aut$/i, '').replace(/[^a-zA-Z0-9_]/g, '_');
+      if (/^[a-z]/.test(name)) {
+        return name[0].toUpperCase() + name.slice(1);
+      }
+      return /^[A-Z]/.test(name) ? name : 'Aut' + name;
+    };
+
+    /**
+     * Add the specified automaton to the end of the code as a process definition.
+     * The process is given a name that is not already used in the code.
+     *
+     * @param {!Automaton} automaton - the automaton to add
+     */
+    app.insertAsCode = function(automaton) {
+      var code = app.$.editor.code;
+      var name = automaton.name + 'Code';
+      for (var i = 2; new RegExp('\\b' + name + '\\b').test(code); i++) {
+        name = automaton.name + 'Code' + i;
+      }
+
+      // start the definition on a new line
+      var separator = (code === '' || /\n\s*$/.test(code)) ? '' : '\n';
+      try {
+        var definition = exportToFsp(automaton.graph, name);
+        app.$.editor.append(separator + definition);
+        app.$.editor.focus();
+      } catch (e) {
+        app.$.console.error('Could not insert ' + automaton.name + ' as code: ' + e.message);
+      }
+    };
+
     /**
      * Save to code the user has written to their computer (as a download).
      */
@@ -230,6 +369,8 @@
       d.querySelector('#settings-live-compiling').checked = app.settings.liveCompiling;
       d.querySelector('#settings-live-building').checked = app.settings.liveBuilding;
       d.querySelector('#settings-fair-abstraction').checked = app.settings.fairAbstraction;
+      d.querySelector('#settings-state-limit').value = app.settings.stateLimit;
+      d.querySelector('#settings-transition-limit').value = app.settings.transitionLimit;
 
       d.querySelector('#settings-editor-wrap').checked = app.$.editor.wrap;
       d.querySelector('#settings-editor-soft-tabs').checked = app.$.editor.softTabs;
@@ -253,6 +394,19 @@
         app.set('settings.liveBuilding', d.querySelector('#settings-live-building').checked);
         app.set('settings.fairAbstraction', d.querySelector('#settings-fair-abstraction').checked);
 
+        // make sure the limits have valid values (ie are not "")
+        el = d.querySelector('#settings-state-limit');
+        val = Number.parseInt(el.value, 10);
+        if (val >= Number.parseInt(el.min, 10) && val <= Number.parseInt(el.max, 10)) {
+          app.set('settings.stateLimit', val);
+        }
+
+        el = d.querySelector('#settings-transition-limit');
+        val = Number.parseInt(el.value, 10);
+        if (val >= Number.parseInt(el.min, 10) && val <= Number.parseInt(el.max, 10)) {
+          app.set('settings.transitionLimit', val);
+        }
+
         app.$.editor.wrap = d.querySelector('#settings-editor-wrap').checked;
         app.$.editor.softTabs = d.querySelector('#settings-editor-soft-tabs').checked;
 
@@ -316,9 +470,18 @@
     app.settings = {
       liveCompiling: true,
       liveBuilding: true,
-      fairAbstraction: true
+      fairAbstraction: true,
+      stateLimit: 10000,
+      transitionLimit: 50000
     };
 
+    /**
+     * A map of names to the Aldebaran (.aut) files that have been imported.
+     *
+     * @type Object
+     */
+    app.importedAutomata = {};
+
     /**
      * The selected tab on the help dialog.
      *
@@ -352,6 +515,8 @@
           break;
 
         case 'settings.fairAbstraction':
+        case 'settings.stateLimit':
+        case 'settings.transitionLimit':
           app.compile(false);
           break;
       }
@@ -372,6 +537,49 @@
       }
     });
 
+    /**
+     * Insert an automaton as code when requested by its visualisation.
+     */
+    document.addEventListener('automaton-visualisation-insert-code', function(e) {
+      app.insertAsCode(e.detail.automaton);
+    });
+
+    /**
+     * Report an automaton that could not be downloaded as an image by its visualisation.
+     */
+    document.addEventListener('automaton-visualisation-download-error', function(e) {
+      app.$.console.error('Could not download ' + e.detail.automaton.name + ' as an image: ' + e.detail.message);
+    });
+
+    /**
+     * Highlight the deadlocked state in the automaton of a deadlock whose annotation is clicked, or walk
+     * the counterexample of an assertion whose annotation is clicked. The states and transitions of the
+     * displayed automata are numbered the same way as in the violation or counterexample.
+     */
+    document.addEventListener('text-editor-annotation-click', function(e) {
+      var data = e.detail.annotation.data;
+      var visualisations = document.querySelectorAll('automaton-visualisation');
+      for (var i = 0; i < visualisations.length; i++) {
+        if (visualisations[i].automaton.name !== data.process) {
+          continue;
+        }
+
+        if (data.type === 'deadlock') {
+          visualisations[i].highlightNode(data.state);
+        } else if (data.counterexample !== undefined) {
+          visualisations[i].walkCounterexample(data.counterexample);
+        }
+      }
+    });
+
+    /**
+     * Show the progress of the compilation in progress in place of the 'Compiling...' message.
+     */
+    document.addEventListener('automata-parser-progress', function(e) {
+      app.$.console.clear(1);
+      app.$.console.log(e.detail.message);
+    });
+
     /**
      * Listen for key presses.
      */
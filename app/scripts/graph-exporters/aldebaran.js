@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * Exports the specified graph in the Aldebaran (.aut) format used by CADP and mCRL2.
+ *
+ * The start node is always state 0, the other nodes are numbered in the order they are in the graph.
+ * Hidden (tau) edges are written as the internal action 'i', every other label is quoted.
+ * Broadcasting and listening edges keep their '!' and '?' prefixes.
+ *
+ * @param {!object} graph - the graph to export
+ * @returns {!string} - the graph in the Aldebaran format
+ */
+function exportToAldebaran(graph) {
+  var startNode = graph.nodes.filter(function(node) {
+    return node.getMetaData('startNode');
+  })[0] || graph.root;
+
+  // number the states, starting with the start node
+  var states = {};
+  var stateCount = 0;
+  if (startNode !== undefined) {
+    states[startNode.id] = stateCount++;
+  }
+  graph.nodes.forEach(function(node) {
+    if (states[node.id] === undefined) {
+      states[node.id] = stateCount++;
+    }
+  });
+
+  var lines = ['des (0, ' + graph.edgeCount + ', ' + stateCount + ')'];
+  graph.edges.forEach(function(edge) {
+    var label = 'i';
+    if (!edge.isHidden) {
+      var prefix = edge.isBroadcasting ? '!' : edge.isListening ? '?' : '';
+      label = '"' + prefix + edge.label + '"';
+    }
+
+    lines.push('(' + states[edge.from.id] + ', ' + label + ', ' + states[edge.to.id] + ')');
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Constructs a graph from the specified Aldebaran (.aut) file.
+ *
+ * The internal actions 'i' and 'tau' become hidden edges. The initial state becomes the start node
+ * and states without any outgoing transitions are marked as stop terminals.
+ * The nodes and edges are given unique identifiers so that the graph can be combined with the
+ * graphs built by the interpreter.
+ *
+ * @param {!string} text - the contents of the .aut file
+ * @returns {!object} - the graph
+ * @throws {Graph.Exception} if the file is not in the Aldebaran format
+ */
+function importFromAldebaran(text) {
+  var lines = text.split(/\r?\n/);
+  var lineNumber = 0;
+
+  // find the header, skipping any blank lines before it
+  while (lineNumber < lines.length && lines[lineNumber].trim() === '') {
+    lineNumber++;
+  }
+
+  var header = /^\s*des\s*\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)\s*$/.exec(lines[lineNumber] || '');
+  if (header === null) {
+    throw new Graph.Exception('line ' + (lineNumber + 1) + ': expected a header of the form "des (initial, transitions, states)".');
+  }
+
+  var initialState = parseInt(header[1], 10);
+  var transitionCount = parseInt(header[2], 10);
+  var stateCount = parseInt(header[3], 10);
+  if (initialState >= stateCount) {
+    throw new Graph.Exception('line ' + (lineNumber + 1) + ': the initial state ' + initialState + ' is not one of the ' +
+      stateCount + ' states.');
+  }
+
+  var graph = new Graph();
+  var nodes = [];
+  for (var i = 0; i < stateCount; i++) {
+    nodes.push(graph.addNode(NodeUid.next, '' + i));
+  }
+
+  graph.root = nodes[initialState];
+  graph.root.addMetaData('startNode', true);
+
+  var transition = /^\s*\(\s*(\d+)\s*,\s*("[^"]*"|[^,"]*?)\s*,\s*(\d+)\s*\)\s*$/;
+  var edgeCount = 0;
+  for (lineNumber++; lineNumber < lines.length; lineNumber++) {
+    if (lines[lineNumber].trim() === '') {
+      continue;
+    }
+
+    var match = transition.exec(lines[lineNumber]);
+    if (match === null) {
+      throw new Graph.Exception('line ' + (lineNumber + 1) + ': expected a transition of the form "(from, label, to)".');
+    }
+
+    var from = parseInt(match[1], 10);
+    var to = parseInt(match[3], 10);
+    if (from >= stateCount || to >= stateCount) {
+      throw new Graph.Exception('line ' + (lineNumber + 1) + ': transition between states that are not one of the ' +
+        stateCount + ' states.');
+    }
+
+    var label = match[2][0] === '"' ? match[2].slice(1, -1) : match[2];
+    var edge = graph.addEdge(EdgeUid.next, nodes[from], nodes[to], label);
+    if (label === 'i' || label === 'tau' || label === TAU) {
+      edge.hideEdge();
+    } else if (label === DELTA) {
+      edge.deadlockEdge();
+    }
+    edgeCount++;
+  }
+
+  if (edgeCount !== transitionCount) {
+    throw new Graph.Exception('the header declares ' + transitionCount + ' transitions but ' + edgeCount + ' were found.');
+  }
+
+  nodes.forEach(function(node) {
+    if (node.edgesFromMe.length === 0) {
+      node.addMetaData('isTerminal', 'stop');
+    }
+  });
+
+  return graph;
+}
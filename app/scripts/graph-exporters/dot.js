@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * Exports the specified graph in the Graphviz DOT language.
+ *
+ * Every node and edge is given a class describing what it represents, so that the output can be
+ * restyled with Graphviz styles:
+ *   - nodes: 'start', 'terminal stop' and 'terminal error'
+ *   - edges: 'tau' (hidden), 'deadlock', 'broadcasting' and 'listening'
+ * Some default styling is also included so that the output is readable without any restyling.
+ * The start node is pointed to by an edge from an invisible node named '__start'.
+ *
+ * @param {!object} graph - the graph to export
+ * @param {string} [name] - the name of the graph
+ * @returns {!string} - the graph in the DOT language
+ */
+function exportToDot(graph, name) {
+  var lines = ['digraph ' + _dotString(name || 'automaton') + ' {'];
+  lines.push('  rankdir = LR;');
+  lines.push('  node [shape = circle];');
+
+  var startNode = graph.nodes.filter(function(node) {
+    return node.getMetaData('startNode');
+  })[0] || graph.root;
+
+  if (startNode !== undefined) {
+    lines.push('  __start [shape = point, style = invis];');
+    lines.push('  __start -> ' + _dotNodeId(startNode) + ';');
+  }
+
+  graph.nodes.forEach(function(node) {
+    var attributes = {label: node.label};
+    var classes = [];
+    if (node === startNode) {
+      classes.push('start');
+    }
+
+    var terminal = node.getMetaData('isTerminal');
+    if (terminal === 'stop') {
+      classes.push('terminal', 'stop');
+      attributes.shape = 'doublecircle';
+    } else if (terminal === 'error') {
+      classes.push('terminal', 'error');
+      attributes.shape = 'doublecircle';
+      attributes.color = 'red';
+    }
+
+    if (classes.length > 0) {
+      attributes.class = classes.join(' ');
+    }
+
+    lines.push('  ' + _dotNodeId(node) + ' ' + _dotAttributes(attributes) + ';');
+  });
+
+  graph.edges.forEach(function(edge) {
+    var attributes = {label: edge.label};
+    if (edge.isHidden) {
+      attributes.class = 'tau';
+      attributes.style = 'dashed';
+    } else if (edge.isDeadlock) {
+      attributes.class = 'deadlock';
+      attributes.color = 'red';
+    } else if (edge.isBroadcasting) {
+      attributes.label = '!' + edge.label;
+      attributes.class = 'broadcasting';
+    } else if (edge.isListening) {
+      attributes.label = '?' + edge.label;
+      attributes.class = 'listening';
+    }
+
+    lines.push('  ' + _dotNodeId(edge.from) + ' -> ' + _dotNodeId(edge.to) + ' ' + _dotAttributes(attributes) + ';');
+  });
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Returns the DOT identifier used for the specified node.
+ *
+ * @private
+ * @param {!object} node - the node
+ * @returns {!string} - the node's identifier
+ */
+function _dotNodeId(node) {
+  return 'n' + node.id;
+}
+
+/**
+ * Returns the specified attributes as a DOT attribute list.
+ *
+ * @private
+ * @param {!object} attributes - a map of attribute names to their values
+ * @returns {!string} - the attribute list
+ */
+function _dotAttributes(attributes) {
+  var list = [];
+  for (var key in attributes) {
+    list.push(key + ' = ' + _dotString(attributes[key]));
+  }
+
+  return '[' + list.join(', ') + ']';
+}
+
+/**
+ * Returns the specified value as a quoted DOT string.
+ *
+ * @private
+ * @param {!string} value - the value to quote
+ * @returns {!string} - the quoted string
+ */
+function _dotString(value) {
+  return '"' + String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"';
+}
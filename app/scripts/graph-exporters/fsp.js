@@ -0,0 +1,158 @@
+'use strict';
+
+/**
+ * Exports the specified graph as an FSP process definition that can be parsed by the automata parser.
+ *
+ * The start node becomes the process named `name` and every other node that can be reached from it,
+ * and is not a terminal, becomes a local process named `name` followed by a number, for example
+ * `P = (a -> P1), P1 = (b -> STOP).`. Nodes without any outgoing edges are written as STOP and nodes
+ * that can only deadlock (as the interpreter constructs ERROR) are written as ERROR.
+ * Hidden edges are written as an action that is then hidden from the whole definition.
+ *
+ * @param {!object} graph - the graph to export
+ * @param {!string} name - the name of the process, this must begin with a capital letter
+ * @returns {!string} - the process definition
+ * @throws {Graph.Exception} if the graph cannot be written as FSP
+ */
+function exportToFsp(graph, name) {
+  if (!/^[A-Z][a-zA-Z0-9_]*$/.test(name)) {
+    throw new Graph.Exception('"' + name + '" is not a valid process name.');
+  }
+
+  var startNode = graph.nodes.filter(function(node) {
+    return node.getMetaData('startNode');
+  })[0] || graph.root;
+
+  var hiddenLabel = _fspHiddenLabel(graph);
+  var processes = {};
+  var order = [];
+  var localCount = 0;
+
+  // name the local processes in the order they are reached from the start node
+  var queue = [startNode];
+  processes[startNode.id] = name;
+  while (queue.length > 0) {
+    var node = queue.shift();
+    order.push(node);
+
+    var edges = _fspEdges(node);
+    for (var i = 0; i < edges.length; i++) {
+      var to = edges[i].to;
+      if (processes[to.id] !== undefined) {
+        continue;
+      }
+
+      // terminals are written where they are referenced rather than as local processes
+      var terminal = _fspTerminal(to);
+      if (terminal === undefined) {
+        localCount++;
+        processes[to.id] = name + localCount;
+        queue.push(to);
+      } else {
+        processes[to.id] = terminal;
+      }
+    }
+  }
+
+  var isHiding = false;
+  var definitions = order.map(function(node) {
+    var terminal = _fspTerminal(node);
+    if (terminal !== undefined) {
+      return processes[node.id] + ' = ' + terminal;
+    }
+
+    var choices = _fspEdges(node).map(function(edge) {
+      var label = hiddenLabel;
+      if (edge.isHidden) {
+        isHiding = true;
+      } else {
+        label = _fspLabel(edge);
+      }
+
+      return label + ' -> ' + processes[edge.to.id];
+    });
+
+    return processes[node.id] + ' = (' + choices.join(' | ') + ')';
+  });
+
+  var hiding = isHiding ? ' \\{' + hiddenLabel + '}' : '';
+  return definitions.join(',\n') + hiding + '.\n';
+}
+
+/**
+ * Returns the edges from the specified node that are written as actions, these are all of
+ * the node's edges apart from its deadlock edges.
+ *
+ * @private
+ * @param {!object} node - the node
+ * @returns {!Array} - the edges
+ * @throws {Graph.Exception} if the node can both deadlock and perform an action
+ */
+function _fspEdges(node) {
+  var edges = node.edgesFromMe.filter(function(edge) {
+    return !edge.isDeadlock;
+  });
+
+  if (edges.length > 0 && edges.length < node.edgesFromMe.length) {
+    throw new Graph.Exception('node "' + node.label + '" can both deadlock and perform an action, which cannot be written as FSP.');
+  }
+
+  return edges;
+}
+
+/**
+ * Returns the terminal the specified node is written as, either 'STOP' or 'ERROR'.
+ *
+ * @private
+ * @param {!object} node - the node
+ * @returns {string} - the terminal, or undefined if the node is not a terminal
+ */
+function _fspTerminal(node) {
+  if (node.edgesFromMe.length === 0) {
+    return node.getMetaData('isTerminal') === 'error' ? 'ERROR' : 'STOP';
+  }
+
+  var isDeadlocked = node.edgesFromMe.every(function(edge) {
+    return edge.isDeadlock;
+  });
+
+  return isDeadlocked ? 'ERROR' : undefined;
+}
+
+/**
+ * Returns the specified edge's label as an FSP action label.
+ *
+ * @private
+ * @param {!object} edge - the edge
+ * @returns {!string} - the action label
+ * @throws {Graph.Exception} if the edge's label is not a valid action label
+ */
+function _fspLabel(edge) {
+  if (!/^([a-z][a-zA-Z0-9_]*|\[-?\d+\])(\.[a-z][a-zA-Z0-9_]*|\[-?\d+\])*$/.test(edge.label)) {
+    throw new Graph.Exception('"' + edge.label + '" is not a valid action label.');
+  }
+
+  var prefix = edge.isBroadcasting ? '!' : edge.isListening ? '?' : '';
+  return prefix + edge.label;
+}
+
+/**
+ * Returns an action label that is not used by the specified graph, for hidden edges to be written as.
+ *
+ * @private
+ * @param {!object} graph - the graph
+ * @returns {!string} - the action label
+ */
+function _fspHiddenLabel(graph) {
+  var labels = {};
+  graph.edges.forEach(function(edge) {
+    labels[edge.label] = true;
+  });
+
+  var label = 'tau';
+  for (var i = 1; labels[label]; i++) {
+    label = 'tau' + i;
+  }
+
+  return label;
+}
@@ -0,0 +1,136 @@
+'use strict';
+
+// the number of centimetres in a pixel of the layout
+var TIKZ_SCALE = 0.02;
+
+// the characters that must be escaped in LaTeX text and what they are replaced with
+var LATEX_ESCAPES = {
+  '\\': '\\textbackslash{}',
+  '{': '\\{',
+  '}': '\\}',
+  '_': '\\_',
+  '#': '\\#',
+  '$': '\\$',
+  '%': '\\%',
+  '&': '\\&',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}',
+  '[': '{[}',
+  ']': '{]}'
+};
+
+/**
+ * Exports the specified graph as a TikZ picture that can be included in a LaTeX document.
+ * The picture requires the 'automata' TikZ library.
+ *
+ * The nodes and edges are drawn where they are in the specified layout, which is the layout
+ * computed by the automaton-renderer (see `automaton-renderer.getLayout()`).
+ * The start node is marked as the initial state, STOP and ERROR terminals are drawn as accepting
+ * states (in green and red respectively) and hidden edges are dashed.
+ *
+ * @param {!object} graph - the graph to export
+ * @param {!object} layout - the positions of the graph's nodes and the points along its edges:
+ *                           `{nodes: {id: {x, y}}, edges: {id: {x, y, points: [{x, y}]}}}`
+ * @returns {!string} - the TikZ picture
+ */
+function exportToTikZ(graph, layout) {
+  var lines = [
+    '% requires \\usetikzlibrary{automata}',
+    '\\begin{tikzpicture}[>=stealth, auto, initial text={},',
+    '    every state/.style={minimum size=' + _tikzNumber(56) + 'cm},',
+    '    stop/.style={accepting, draw=green!50!black},',
+    '    error/.style={accepting, draw=red},',
+    '    tau/.style={dashed},',
+    '    deadlock/.style={draw=red}]'
+  ];
+
+  var startNode = graph.nodes.filter(function(node) {
+    return node.getMetaData('startNode');
+  })[0] || graph.root;
+
+  graph.nodes.forEach(function(node) {
+    var styles = ['state'];
+    if (node === startNode) {
+      styles.push('initial');
+    }
+
+    var terminal = node.getMetaData('isTerminal');
+    if (terminal === 'stop' || terminal === 'error') {
+      styles.push(terminal);
+    }
+
+    var position = layout.nodes[node.id];
+    lines.push('  \\node[' + styles.join(', ') + '] (n' + node.id + ') at ' + _tikzCoordinate(position) +
+      ' {' + _escapeLatex(node.label) + '};');
+  });
+
+  graph.edges.forEach(function(edge) {
+    var style = '->';
+    var label = _escapeLatex(edge.label);
+    if (edge.isHidden) {
+      style += ', tau';
+      label = '$\\tau$';
+    } else if (edge.isDeadlock) {
+      style += ', deadlock';
+      label = '$\\delta$';
+    } else if (edge.isBroadcasting) {
+      label = '!' + label;
+    } else if (edge.isListening) {
+      label = '?' + label;
+    }
+
+    var from = '(n' + edge.from.id + ')';
+    var to = '(n' + edge.to.id + ')';
+    if (edge.from === edge.to) {
+      lines.push('  \\draw[' + style + '] ' + from + ' edge[loop above] node {' + label + '} ' + to + ';');
+      return;
+    }
+
+    // draw the edge through the points along it, TikZ clips the ends of the edge to the nodes' borders
+    var edgeLayout = layout.edges[edge.id];
+    var path = [from].concat(edgeLayout.points.slice(1, -1).map(_tikzCoordinate), to);
+    lines.push('  \\draw[' + style + ', rounded corners=' + _tikzNumber(20) + 'cm] ' + path.join(' -- ') + ';');
+    if (edgeLayout.x !== undefined) {
+      lines.push('  \\node at ' + _tikzCoordinate(edgeLayout) + ' {' + label + '};');
+    }
+  });
+
+  lines.push('\\end{tikzpicture}');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Returns the specified point of the layout as a TikZ coordinate.
+ * The layout's y axis points down whereas TikZ's points up.
+ *
+ * @private
+ * @param {!object} point - the point, of the form `{x, y}`
+ * @returns {!string} - the coordinate
+ */
+function _tikzCoordinate(point) {
+  return '(' + _tikzNumber(point.x) + ', ' + _tikzNumber(-point.y) + ')';
+}
+
+/**
+ * Returns the specified length of the layout in centimetres.
+ *
+ * @private
+ * @param {!number} value - the length in pixels
+ * @returns {!string} - the length in centimetres
+ */
+function _tikzNumber(value) {
+  return String(Math.round(value * TIKZ_SCALE * 100) / 100);
+}
+
+/**
+ * Escapes the characters in the specified text that have a special meaning in LaTeX (or TikZ).
+ *
+ * @private
+ * @param {!string} text - the text to escape
+ * @returns {!string} - the escaped text
+ */
+function _escapeLatex(text) {
+  return String(text).replace(/[\\{}_#$%&~^\[\]]/g, function(character) {
+    return LATEX_ESCAPES[character];
+  });
+}
@@ -42,12 +42,191 @@ function isEquivalent(graphs) {
 }
 
 /**
- * Performs a bisimulation coloring on the specified graphs, which gives the nodes in each graph a colouring
- * based on transitions it makes to neighbouring nodes. Once the colouring is completed any nodes
- * within the same graph with the same colour are considered equivalent and are merged together.
+ * Determines if the specified graphs are weakly equivalent. Hidden edges are treated as
+ * unobservable tau actions, so each graph is first saturated with the observable transitions
+ * that can be made through any number of tau actions before checking for strong equivalence.
+ *
+ * @param {!array} graphs - an array of graphs to check for weak equivalency
+ * @returns {!boolean} - true if all graphs are weakly equivalent, otherwise false.
+ */
+function isWeaklyEquivalent(graphs) {
+  var saturated = [];
+  for(let i in graphs){
+    saturated.push(_saturate(graphs[i]));
+  }
+
+  return isEquivalent(saturated);
+}
+
+/**
+ * Determines if the specified graphs are equivalent in the same way as 'isEquivalent'. If
+ * they are not equivalent a Hennessy-Milner logic formula is also constructed which explains
+ * why. The formula is satisfied by the root of the first graph of the pair that differs but is
+ * not satisfied by the root of the second graph of that pair.
+ *
+ * @param {!array} graphs - an array of graphs to check for equivalency
+ * @returns {!object} - whether the graphs are equivalent and, if they are not, the
+ *                      distinguishing formula and the indices of the graphs it distinguishes
+ */
+function equivalenceCheck(graphs) {
+  var result = _bisimulation(graphs);
+
+  // compare the colors of each root node
+  var coloredNodes = result.coloredNodes;
+  for(var i = 0; i < graphs.length - 1; i++){
+    var rootId1 = graphs[i].rootId;
+    var rootId2 = graphs[i + 1].rootId;
+
+    if(coloredNodes[rootId1].color !== coloredNodes[rootId2].color){
+      var formula = _distinguishingFormula(graphs, rootId1, rootId2);
+      return {isEquivalent: false, formula: formula, graphs: [i, i + 1]};
+    }
+  }
+
+  return {isEquivalent: true};
+}
+
+/**
+ * Determines if the specified graphs are weakly equivalent in the same way as
+ * 'isWeaklyEquivalent', constructing a distinguishing formula if they are not. The modalities of
+ * the formula are weak, so '<a>' means the action 'a' can be performed after any number of tau
+ * actions and be followed by any number of tau actions.
+ *
+ * @param {!array} graphs - an array of graphs to check for weak equivalency
+ * @returns {!object} - the result of the check, as returned by 'equivalenceCheck'
+ */
+function weakEquivalenceCheck(graphs) {
+  var saturated = [];
+  for(let i in graphs){
+    saturated.push(_saturate(graphs[i]));
+  }
+
+  return equivalenceCheck(saturated);
+}
+
+/**
+ * Constructs and returns a saturated version of the specified graph. For every node a tau
+ * transition is added to each node reachable through zero or more hidden edges, and for every
+ * observable action 'a' a transition is added for each path of the form tau* a tau*. Strong
+ * bisimulation on saturated graphs coincides with weak bisimulation on the original graphs.
+ *
+ * @private
+ * @param {!object} graph - the graph to saturate
+ * @returns {!object} - the saturated graph
+ */
+function _saturate(graph) {
+  var clone = graph.deepClone();
+  var nodes = clone.nodes;
+
+  // construct the tau closure for each node in the graph
+  var closures = {};
+  for(let i in nodes){
+    closures[nodes[i].id] = _tauClosure(nodes[i]);
+  }
+
+  // construct the weak transitions for each node in the graph
+  var edgesToAdd = [];
+  for(let i in nodes){
+    var node = nodes[i];
+    var closure = closures[node.id];
+    var added = {};
+
+    // the observable edges the node already has are kept, so they are not added again
+    var own = node.edgesFromMe;
+    for(let j in own){
+      if(!own[j].isHidden){
+        added[own[j].to.id + ',' + Graph._prefixedLabel(own[j])] = true;
+      }
+    }
+
+    for(let j in closure){
+      _addEdge(node, closure[j], TAU);
+
+      var edges = closure[j].edgesFromMe;
+      for(let k in edges){
+        var edge = edges[k];
+        if(edge.isHidden || edge.isDeadlock){
+          continue;
+        }
+
+        var targets = closures[edge.to.id];
+        for(let t in targets){
+          _addEdge(node, targets[t], Graph._prefixedLabel(edge));
+        }
+      }
+    }
+  }
+
+  // remove the original hidden edges and add the weak transitions
+  var hiddenEdges = clone.hiddenEdges;
+  for(let i in hiddenEdges){
+    clone.removeEdge(hiddenEdges[i]);
+  }
+
+  for(let i in edgesToAdd){
+    edge = edgesToAdd[i];
+    clone.addEdge(EdgeUid.next, edge.from, edge.to, edge.label);
+  }
+
+  return clone;
+
+  /**
+   * Helper function for the saturate function which adds an edge to be constructed
+   * if an identical edge has not already been added from the current node.
+   *
+   * @private
+   * @param {!Node} from - the node the edge will transition from
+   * @param {!Node} to - the node the edge will transition to
+   * @param {!string} label - the action of the edge
+   */
+  function _addEdge(from, to, label){
+    var key = to.id + ',' + label;
+    if(!added[key]){
+      added[key] = true;
+      edgesToAdd.push({from: from, to: to, label: label});
+    }
+  }
+
+  /**
+   * Helper function for the saturate function which returns the nodes that can be
+   * reached from the specified node through zero or more hidden edges.
+   *
+   * @private
+   * @param {!Node} start - the node to start from
+   * @returns {!Array} the nodes in the tau closure of the start node
+   */
+  function _tauClosure(start){
+    var stack = [start];
+    var visited = {};
+    var closure = [];
+    while(stack.length !== 0){
+      var current = stack.pop();
+      if(visited[current.id]){
+        continue;
+      }
+      visited[current.id] = true;
+      closure.push(current);
+
+      var edges = current.edgesFromMe;
+      for(let i in edges){
+        if(edges[i].isHidden){
+          stack.push(edges[i].to);
+        }
+      }
+    }
+
+    return closure;
+  }
+}
+
+/**
+ * Performs a bisimulation on the specified graphs, which partitions the nodes in each graph into
+ * blocks of equivalent nodes using partition refinement. Each node is given the colour of the block
+ * it belongs to. Once the partitioning is completed any nodes within the same graph with the same
+ * colour are considered equivalent and are merged together.
  *
  * @private
- * @param {!array} - an array of graphs to perform bisimulation colouring on.
+ * @param {!array} - an array of graphs to perform bisimulation on.
  * @returns {!object} - the coloured nodes and the simplified graphs
  */
 function _bisimulation(graphs) {
@@ -56,42 +235,36 @@ function _bisimulation(graphs) {
     clones.push(graphs[i].deepClone());
   }
 
-  // construct map of nodes and give them all the same color
+  var system = _constructTransitionSystem(clones);
+  var blocks = _partitionRefinement(system);
+
+  // construct map of nodes coloured by the block they belong to
   var coloredNodes = [];
-  for(let i in clones){
-    var clone = clones[i];
-    var nodes = clone.nodes;
-    for(let n in nodes){
-      var node = nodes[n];
+  for(let i = 0; i < system.nodes.length; i++){
+    var node = system.nodes[i];
+    if(node !== undefined){
       coloredNodes[node.id] = new Graph.ColoredNode(node);
+      coloredNodes[node.id].color = '' + blocks[i];
     }
   }
 
-  // continue process until color map does not increase in size
-  var previousLength = -1;
-  var colorMap = []
-  while(previousLength < colorMap.length){
-    previousLength = colorMap.length;
-    colorMap = _constructColoring(coloredNodes);
-    coloredNodes = _applyColoring(coloredNodes, colorMap);
-  }
-
   // merge nodes together that have the same colors
   for(let i in clones){
     var clone = clones[i];
     var nodes = clone.nodes;
-     
-    for(let i in colorMap){
-      var nodeIds = [];
-        
-      for(let k in nodes){
-        var node = coloredNodes[nodes[k].id];
-        if(node.color === i){
-          nodeIds.push(node.node.id);
-        }
+
+    var colorMap = {};
+    for(let j in nodes){
+      var color = coloredNodes[nodes[j].id].color;
+      if(colorMap[color] === undefined){
+        colorMap[color] = [];
       }
-      if(nodeIds.length > 1){
-        clone.mergeNodes(nodeIds);
+      colorMap[color].push(nodes[j].id);
+    }
+
+    for(let color in colorMap){
+      if(colorMap[color].length > 1){
+        clone.mergeNodes(colorMap[color]);
       }
     }
   }
@@ -105,63 +278,616 @@ function _bisimulation(graphs) {
 }
 
 /**
- * Helper function for the bisimulation function which constructs and returns
- * a color map for the specified colored nodes.
+ * Constructs an indexed transition system from the nodes and edges of the specified graphs, where
+ * nodes are referred to by their index and transitions are stored in arrays. Deadlock edges are
+ * redirected to an extra sink state so that they are all treated the same regardless of where
+ * they lead. Each state is also given an initial colour, which separates states that have deadlock
+ * edges to them and the sink state from the rest.
+ *
+ * @private
+ * @param {!array} graphs - the graphs to construct the transition system from
+ * @returns {!object} - the transition system
+ */
+function _constructTransitionSystem(graphs) {
+  var system = {
+    nodes: [],
+    indices: {},
+    labels: [],
+    from: [],
+    label: [],
+    to: [],
+    outgoing: [],
+    incoming: [],
+    initial: []
+  };
+  var labelIndices = {};
+  var sink = -1;
+
+  // give each node an index
+  for(let i in graphs){
+    var nodes = graphs[i].nodes;
+    for(let j in nodes){
+      var node = nodes[j];
+      if(system.indices[node.id] === undefined){
+        system.indices[node.id] = system.nodes.length;
+        system.nodes.push(node);
+        system.outgoing.push([]);
+        system.incoming.push([]);
+        system.initial.push(0);
+      }
+    }
+  }
+
+  // add a transition for each edge
+  var count = system.nodes.length;
+  for(let i = 0; i < count; i++){
+    var edges = system.nodes[i].edgesFromMe;
+    for(let j in edges){
+      var edge = edges[j];
+      var to = system.indices[edge.to.id];
+      if(edge.isDeadlock){
+        system.initial[to] = 1;
+        if(sink === -1){
+          sink = system.nodes.length;
+          system.nodes.push(undefined);
+          system.outgoing.push([]);
+          system.incoming.push([]);
+          system.initial.push(2);
+        }
+        to = sink;
+      }
+
+      // broadcasting and listening actions are distinguished by their prefixes
+      var label = Graph._prefixedLabel(edge);
+      if(labelIndices[label] === undefined){
+        labelIndices[label] = system.labels.length;
+        system.labels.push(label);
+      }
+
+      var transition = system.from.length;
+      system.from.push(i);
+      system.label.push(labelIndices[label]);
+      system.to.push(to);
+      system.outgoing[i].push(transition);
+      system.incoming[to].push(transition);
+    }
+  }
+
+  return system;
+}
+
+/**
+ * Computes the coarsest partition of the states of the specified transition system that is stable
+ * with respect to every transition and refines the initial colouring, using the Paige-Tarjan
+ * partition refinement algorithm. The states are kept in a refinable partition, where the states
+ * of each block are stored next to each other, so that blocks can be split in time proportional
+ * to the number of states being split off. Blocks are grouped into compound blocks and the smaller
+ * half of a compound block is always used as the next splitter, with counters recording how many
+ * transitions each state has into each compound block for each action. This gives a running time
+ * of O(m log n) for m transitions and n states.
+ *
+ * @private
+ * @param {!object} system - a transition system constructed by '_constructTransitionSystem'
+ * @returns {!array} - the block each state belongs to
+ */
+function _partitionRefinement(system) {
+  var stateCount = system.nodes.length;
+
+  // refinable partition of the states
+  var elements = [];
+  var locations = [];
+  var blockOf = [];
+  var blockStart = [];
+  var blockEnd = [];
+  var blockMarked = [];
+  var blockCompound = [];
+  var touched = [];
+
+  // compound blocks which contain more than one block are waiting to be used as splitters
+  var compoundBlocks = [[]];
+  var queue = [];
+  var isQueued = [false];
+
+  // counters of the transitions from each state with each action into each compound block
+  var counters = [];
+  var counterOf = [];
+  var newCounter = [];
+  var stamps = [];
+  var stamp = 0;
+
+  // construct the initial blocks from the initial colouring
+  var initialBlocks = {};
+  for(let s = 0; s < stateCount; s++){
+    var color = system.initial[s];
+    if(initialBlocks[color] === undefined){
+      initialBlocks[color] = [];
+    }
+    initialBlocks[color].push(s);
+  }
+  for(let color in initialBlocks){
+    var b = blockStart.length;
+    blockStart.push(elements.length);
+    for(let i in initialBlocks[color]){
+      var state = initialBlocks[color][i];
+      locations[state] = elements.length;
+      blockOf[state] = b;
+      elements.push(state);
+    }
+    blockEnd.push(elements.length);
+    blockMarked.push(0);
+    blockCompound.push(0);
+    compoundBlocks[0].push(b);
+  }
+  if(compoundBlocks[0].length > 1){
+    queue.push(0);
+    isQueued[0] = true;
+  }
+
+  // construct the counters for the compound block containing every state
+  for(let s = 0; s < stateCount; s++){
+    var stateCounters = {};
+    var transitions = system.outgoing[s];
+    for(let i in transitions){
+      var t = transitions[i];
+      var label = system.label[t];
+      if(stateCounters[label] === undefined){
+        stateCounters[label] = counters.length;
+        counters.push(0);
+      }
+      counters[stateCounters[label]]++;
+      counterOf[t] = stateCounters[label];
+    }
+  }
+
+  // make the initial partition stable with respect to the compound block containing every state
+  var transitionsByLabel = _groupByLabel(_.range(system.from.length));
+  for(let label in transitionsByLabel){
+    var group = transitionsByLabel[label];
+    for(let i in group){
+      _mark(system.from[group[i]]);
+    }
+    _split();
+  }
+
+  while(queue.length !== 0){
+    var compound = queue.pop();
+    isQueued[compound] = false;
+    var blocks = compoundBlocks[compound];
+    if(blocks.length < 2){
+      continue;
+    }
+
+    // remove the smaller of the first two blocks from the compound block and use it as the splitter
+    var k = (_size(blocks[0]) <= _size(blocks[1])) ? 0 : 1;
+    var splitter = blocks[k];
+    blocks.splice(k, 1);
+    if(blocks.length > 1){
+      queue.push(compound);
+      isQueued[compound] = true;
+    }
+    blockCompound[splitter] = compoundBlocks.length;
+    compoundBlocks.push([splitter]);
+    isQueued.push(false);
+
+    // gather the transitions into the splitter before any blocks are split
+    var incoming = [];
+    for(let i = blockStart[splitter]; i < blockEnd[splitter]; i++){
+      var transitionsTo = system.incoming[elements[i]];
+      for(let j in transitionsTo){
+        incoming.push(transitionsTo[j]);
+      }
+    }
+
+    var incomingByLabel = _groupByLabel(incoming);
+    for(let label in incomingByLabel){
+      _splitByTransitions(incomingByLabel[label]);
+    }
+  }
+
+  return blockOf;
+
+  /**
+   * Helper function which splits the blocks using the specified transitions into the splitter, which
+   * all have the same action. Blocks are first split into the states that can transition to the
+   * splitter and the states that cannot, and then into the states that can only transition to the
+   * splitter and the states that can also transition to the rest of its old compound block.
+   *
+   * @private
+   * @param {!Array} transitions - the transitions to split by
+   */
+  function _splitByTransitions(transitions){
+    stamp++;
+    for(let i in transitions){
+      let s = system.from[transitions[i]];
+      if(stamps[s] !== stamp){
+        stamps[s] = stamp;
+        newCounter[s] = counters.length;
+        counters.push(0);
+      }
+      counters[newCounter[s]]++;
+    }
+
+    for(let i in transitions){
+      _mark(system.from[transitions[i]]);
+    }
+    _split();
+
+    for(let i in transitions){
+      let t = transitions[i];
+      let s = system.from[t];
+      if(counters[newCounter[s]] === counters[counterOf[t]]){
+        _mark(s);
+      }
+    }
+    _split();
+
+    // move the transitions over to the counters for the splitter
+    for(let i in transitions){
+      let t = transitions[i];
+      counters[counterOf[t]]--;
+      counterOf[t] = newCounter[system.from[t]];
+    }
+  }
+
+  /**
+   * Helper function which marks the specified state by moving it to the front of its block.
+   *
+   * @private
+   * @param {!number} s - the state to mark
+   */
+  function _mark(s){
+    var b = blockOf[s];
+    var location = locations[s];
+    var marked = blockStart[b] + blockMarked[b];
+    if(location < marked){
+      return;
+    }
+
+    var other = elements[marked];
+    elements[marked] = s;
+    locations[s] = marked;
+    elements[location] = other;
+    locations[other] = location;
+
+    if(blockMarked[b] === 0){
+      touched.push(b);
+    }
+    blockMarked[b]++;
+  }
+
+  /**
+   * Helper function which splits the marked states of each touched block off into a new block.
+   * The new block belongs to the same compound block, which is queued to be used as a splitter.
+   *
+   * @private
+   */
+  function _split(){
+    for(let i in touched){
+      var b = touched[i];
+      var marked = blockMarked[b];
+      blockMarked[b] = 0;
+      if(blockStart[b] + marked === blockEnd[b]){
+        continue;
+      }
+
+      var newBlock = blockStart.length;
+      blockStart.push(blockStart[b]);
+      blockEnd.push(blockStart[b] + marked);
+      blockMarked.push(0);
+      blockStart[b] += marked;
+      for(let j = blockStart[newBlock]; j < blockEnd[newBlock]; j++){
+        blockOf[elements[j]] = newBlock;
+      }
+
+      var c = blockCompound[b];
+      blockCompound.push(c);
+      compoundBlocks[c].push(newBlock);
+      if(!isQueued[c]){
+        queue.push(c);
+        isQueued[c] = true;
+      }
+    }
+    touched = [];
+  }
+
+  /**
+   * Helper function which returns the number of states in the specified block.
+   *
+   * @private
+   * @param {!number} b - the block
+   * @returns {!number} the size of the block
+   */
+  function _size(b){
+    return blockEnd[b] - blockStart[b];
+  }
+
+  /**
+   * Helper function which groups the specified transitions by their action.
+   *
+   * @private
+   * @param {!Array} transitions - the transitions to group
+   * @returns {!Object} a map of actions to arrays of transitions
+   */
+  function _groupByLabel(transitions){
+    var groups = {};
+    for(let i in transitions){
+      var label = system.label[transitions[i]];
+      if(groups[label] === undefined){
+        groups[label] = [];
+      }
+      groups[label].push(transitions[i]);
+    }
+
+    return groups;
+  }
+}
+
+/**
+ * Performs the bisimulation colouring one step at a time on the specified transition system and
+ * records the colours given to each state after every step. After step k two states have the same
+ * colour if they cannot be told apart by k transitions, which is used to explain why states are
+ * not equivalent. Colours are kept the same between steps where possible, so only the steps where
+ * the colour of a state changes are recorded.
  *
- * @param {!Array} coloredNodes - The nodes to construct a color map for
- * @returns {!Array} A color map to color the specified nodes with
+ * @private
+ * @param {!object} system - a transition system constructed by '_constructTransitionSystem'
+ * @returns {!object} - the number of steps taken and a function returning the colour of a state after a step
  */
-function _constructColoring(coloredNodes){
-  var colorMap = [];
-  // get coloring for each node in the graph
-  for(let n in coloredNodes){
-    var node = coloredNodes[n];
-    var coloring = node.constructNodeColoring(coloredNodes);
+function _colouringHistory(system) {
+  var colors = system.initial.slice();
+  var steps = [];
+  var values = [];
+  for(let s = 0; s < colors.length; s++){
+    steps.push([0]);
+    values.push([colors[s]]);
+  }
 
-    // only add coloring if it is not a duplicate
-    var equals = false;
-    for(let c in colorMap){
-      equals = colorMap[c].equals(coloring.coloring);
-      if(equals){
-        break;
+  // continue colouring until no new colours are constructed
+  var nextColor = 3;
+  var step = 0;
+  while(true){
+    var signatures = {};
+    var claimed = {};
+    var newColors = [];
+    var isRefined = false;
+    for(let s = 0; s < colors.length; s++){
+      var transitions = system.outgoing[s];
+      var parts = [];
+      for(let i in transitions){
+        var t = transitions[i];
+        parts.push(system.label[t] + ':' + colors[system.to[t]]);
       }
+      var signature = colors[s] + '|' + _.uniq(parts).sort().join(',');
+
+      // the first signature found for a colour keeps that colour
+      if(signatures[signature] === undefined){
+        if(!claimed[colors[s]]){
+          claimed[colors[s]] = true;
+          signatures[signature] = colors[s];
+        }
+        else{
+          signatures[signature] = nextColor++;
+          isRefined = true;
+        }
+      }
+      newColors[s] = signatures[signature];
     }
-    if(!equals){
-      colorMap.push(coloring);
+
+    if(!isRefined){
+      break;
     }
+
+    step++;
+    for(let s = 0; s < colors.length; s++){
+      if(newColors[s] !== colors[s]){
+        steps[s].push(step);
+        values[s].push(newColors[s]);
+      }
+    }
+    colors = newColors;
   }
 
-  return colorMap;
+  return {steps: step, colorAt: _colorAt};
+
+  /**
+   * Helper function which returns the colour of the specified state after the specified step.
+   *
+   * @private
+   * @param {!number} s - the state
+   * @param {!number} step - the step
+   * @returns {!number} the colour
+   */
+  function _colorAt(s, step){
+    var i = _.sortedLastIndex(steps[s], step) - 1;
+    return values[s][i];
+  }
 }
 
 /**
- * Helper function for the bisimulation function which applies a coloring to
- * the specified colored nodes based on the specified color map.
+ * Constructs a Hennessy-Milner logic formula which is satisfied by the first specified node
+ * but not by the second. The formula is built by finding the step of the bisimulation colouring
+ * where the two nodes were first given different colours, which means one of them could make a
+ * transition to a colour that the other could not. Formulas are made up of 'tt', 'ff', diamond
+ * modalities '<a>', box modalities '[a]', conjunctions '∧' and disjunctions '∨'.
  *
- * @param {!Array} coloredNodes - Array of colored nodes
- * @param {!Array} colorMap - map of colors
- * @returns {!Array} The new coloring of the colored nodes
+ * @private
+ * @param {!array} graphs - the graphs containing the nodes
+ * @param {!number} id1 - the id of the node that satisfies the formula
+ * @param {!number} id2 - the id of the node that does not satisfy the formula
+ * @returns {string} - the formula, or undefined if one could not be constructed
  */
-function _applyColoring(coloredNodes, colorMap) {
-  var newColors = []
-  // get new color for each node in the graph
-  for(let n in coloredNodes){
-    var node = coloredNodes[n];
+function _distinguishingFormula(graphs, id1, id2) {
+  var system = _constructTransitionSystem(graphs);
+  var history = _colouringHistory(system);
+
+  var formulas = {};
+  return _construct(system.indices[id1], system.indices[id2]);
 
-    // work out new color for the current node
-    var coloring = node.constructNodeColoring(coloredNodes);
-    for(let c in colorMap){
-      if(colorMap[c].equals(coloring.coloring)){
-        newColors[n] = c;
-        break;
+  /**
+   * Helper function which constructs the formula for the specified pair of states.
+   *
+   * @private
+   * @param {!number} state1 - the state that satisfies the formula
+   * @param {!number} state2 - the state that does not satisfy the formula
+   * @returns {string} the formula, or undefined if one could not be constructed
+   */
+  function _construct(state1, state2){
+    var key = state1 + ',' + state2;
+    if(formulas[key] === undefined){
+      formulas[key] = _constructFormula(state1, state2);
+    }
+
+    return formulas[key];
+  }
+
+  /**
+   * Helper function which constructs the formula for the specified pair of states
+   * based on the step where they were first coloured differently.
+   *
+   * @private
+   * @param {!number} state1 - the state that satisfies the formula
+   * @param {!number} state2 - the state that does not satisfy the formula
+   * @returns {string} the formula, or undefined if one could not be constructed
+   */
+  function _constructFormula(state1, state2){
+    // states which are coloured differently from the start cannot be explained by their
+    // transitions and states which are never coloured differently are equivalent
+    if(history.colorAt(state1, 0) !== history.colorAt(state2, 0) ||
+       history.colorAt(state1, history.steps) === history.colorAt(state2, history.steps)){
+      return undefined;
+    }
+
+    // once states are coloured differently they stay that way, so the first step
+    // where they are coloured differently can be found with a binary search
+    var low = 0;
+    var high = history.steps;
+    while(high - low > 1){
+      var middle = Math.floor((low + high) / 2);
+      if(history.colorAt(state1, middle) === history.colorAt(state2, middle)){
+        low = middle;
+      }
+      else{
+        high = middle;
       }
     }
+
+    var transitions1 = _getTransitions(state1, low);
+    var transitions2 = _getTransitions(state2, low);
+
+    // check for a transition the first state can make that the second state cannot match
+    for(let i in transitions1){
+      var transition = transitions1[i];
+      if(_findTransition(transitions2, transition) === undefined){
+        var conjuncts = [];
+        var targets = _getTargets(transitions2, transition.label);
+        for(let j in targets){
+          var formula = _construct(transition.state, targets[j]);
+          if(formula === undefined){
+            return undefined;
+          }
+          conjuncts.push(formula);
+        }
+
+        return '<' + transition.label + '>' + _combine(conjuncts, ' ∧ ', 'tt');
+      }
+    }
+
+    // check for a transition the second state can make that the first state cannot match
+    for(let i in transitions2){
+      transition = transitions2[i];
+      if(_findTransition(transitions1, transition) === undefined){
+        var disjuncts = [];
+        targets = _getTargets(transitions1, transition.label);
+        for(let j in targets){
+          formula = _construct(targets[j], transition.state);
+          if(formula === undefined){
+            return undefined;
+          }
+          disjuncts.push(formula);
+        }
+
+        return '[' + transition.label + ']' + _combine(disjuncts, ' ∨ ', 'ff');
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Helper function which returns the transitions that can be made from the specified state,
+   * along with the colour of the state transitioned to after the specified step.
+   *
+   * @private
+   * @param {!number} state - the state to get transitions for
+   * @param {!number} step - the step of the colouring to use
+   * @returns {!Array} array of transitions
+   */
+  function _getTransitions(state, step){
+    var transitions = [];
+    var outgoing = system.outgoing[state];
+    for(let i in outgoing){
+      var t = outgoing[i];
+      var to = system.to[t];
+      transitions.push({label: system.labels[system.label[t]], color: history.colorAt(to, step), state: to});
+    }
+
+    return transitions;
   }
 
-  // apply new color to each node
-  for(let i in newColors){
-    coloredNodes[i].color = newColors[i];
+  /**
+   * Helper function which returns the transition with the same label and colour as the
+   * specified transition, or undefined if there is no such transition.
+   *
+   * @private
+   * @param {!Array} transitions - the transitions to search
+   * @param {!Object} transition - the transition to find
+   * @returns {Object} the matching transition
+   */
+  function _findTransition(transitions, transition){
+    return _.find(transitions, function(t){
+      return t.label === transition.label && t.color === transition.color;
+    });
   }
 
-  return coloredNodes;
-}
\ No newline at end of file
+  /**
+   * Helper function which returns the states that can be transitioned to
+   * by the transitions with the specified label.
+   *
+   * @private
+   * @param {!Array} transitions - the transitions to search
+   * @param {!string} label - the label of the transitions
+   * @returns {!Array} array of states
+   */
+  function _getTargets(transitions, label){
+    var targets = [];
+    for(let i in transitions){
+      if(transitions[i].label === label && !_.contains(targets, transitions[i].state)){
+        targets.push(transitions[i].state);
+      }
+    }
+
+    return targets;
+  }
+
+  /**
+   * Helper function which combines the specified formulas with the specified
+   * operator, returning the default formula if there are none to combine.
+   *
+   * @private
+   * @param {!Array} formulas - the formulas to combine
+   * @param {!string} operator - the operator to combine them with
+   * @param {!string} defaultFormula - the formula to use if there are no formulas
+   * @returns {!string} the combined formula
+   */
+  function _combine(formulas, operator, defaultFormula){
+    formulas = _.uniq(formulas);
+    if(formulas.length === 0){
+      return defaultFormula;
+    }
+    else if(formulas.length === 1){
+      return formulas[0];
+    }
+
+    return '(' + formulas.join(operator) + ')';
+  }
+}
@@ -0,0 +1,131 @@
+'use strict';
+
+/**
+ * Constructs and returns a deterministic graph that can perform the same traces as the specified
+ * graph, using the subset construction. Each node of the constructed graph represents the set of
+ * nodes the specified graph can be in after performing a trace, hidden edges are followed
+ * without being part of the trace so the constructed graph has no hidden edges.
+ *
+ * Deadlock edges are kept, and a node is marked as a terminal if any of the nodes it represents
+ * are, an error terminal taking precedence over a stop terminal.
+ *
+ * @param {!object} graph - the graph to determinise
+ * @param {number} rootId - the id to give the root of the constructed graph, by default a new id is used
+ * @returns {!object} - the deterministic graph
+ */
+function determinise(graph, rootId) {
+  var deterministic = new Graph();
+
+  // map of the sets of nodes which have been constructed so far
+  var states = {};
+  var worklist = [];
+  deterministic.root = _getNode(_tauClosure([graph.root]), rootId);
+  deterministic.root.addMetaData('startNode', true);
+
+  while(worklist.length !== 0){
+    var state = worklist.shift();
+    var transitions = _getTransitions(state.nodes);
+    for(let label in transitions){
+      var to = _getNode(_tauClosure(transitions[label].nodes));
+      var edge = deterministic.addEdge(EdgeUid.next, state.node, to, label);
+      if(transitions[label].isDeadlock){
+        edge.deadlockEdge();
+      }
+    }
+  }
+
+  return deterministic;
+
+  /**
+   * Helper function for the determinise function which returns the node for the specified set
+   * of nodes. If the set has not been constructed yet then a node is added for it and it is
+   * added to the worklist.
+   *
+   * @private
+   * @param {!Array} nodes - the ordered set of nodes
+   * @param {number} id - the id to give the node if it is constructed
+   * @returns {!Node} the node for the set
+   */
+  function _getNode(nodes, id){
+    var key = _.pluck(nodes, 'id').join(',');
+    if(states[key] !== undefined){
+      return states[key].node;
+    }
+
+    var node = deterministic.addNode((id === undefined) ? NodeUid.next : id);
+    var terminals = _.uniq(nodes.map(function(n){ return n.getMetaData('isTerminal'); }));
+    if(_.contains(terminals, 'error')){
+      node.addMetaData('isTerminal', 'error');
+    }
+    else if(_.contains(terminals, 'stop')){
+      node.addMetaData('isTerminal', 'stop');
+    }
+
+    states[key] = {node: node, nodes: nodes};
+    worklist.push(states[key]);
+    return node;
+  }
+
+  /**
+   * Helper function for the determinise function which returns the specified nodes and all
+   * the nodes that can be reached from them through hidden edges.
+   *
+   * @private
+   * @param {!Array} nodes - the nodes to start from
+   * @returns {!Array} the tau closure of the specified nodes, ordered by node id
+   */
+  function _tauClosure(nodes){
+    var stack = nodes.slice();
+    var visited = {};
+    var closure = [];
+    while(stack.length !== 0){
+      var node = stack.pop();
+      if(visited[node.id]){
+        continue;
+      }
+      visited[node.id] = true;
+      closure.push(node);
+
+      var edges = node.edgesFromMe;
+      for(let i in edges){
+        if(edges[i].isHidden){
+          stack.push(edges[i].to);
+        }
+      }
+    }
+
+    return closure.sort(function(a, b){ return a.id - b.id; });
+  }
+
+  /**
+   * Helper function for the determinise function which constructs a map of the labels of
+   * the edges from the specified nodes (including any broadcasting or listening prefix)
+   * to the nodes they transition to.
+   *
+   * @private
+   * @param {!Array} nodes - the nodes to get transitions for
+   * @returns {!Object} a map of labels to the nodes transitioned to and whether they are deadlocks
+   */
+  function _getTransitions(nodes){
+    var transitions = {};
+    for(let i in nodes){
+      var edges = nodes[i].edgesFromMe;
+      for(let j in edges){
+        var edge = edges[j];
+        if(edge.isHidden){
+          continue;
+        }
+
+        var label = Graph._prefixedLabel(edge);
+        if(transitions[label] === undefined){
+          transitions[label] = {nodes: [], isDeadlock: edge.isDeadlock};
+        }
+        if(!_.contains(transitions[label].nodes, edge.to)){
+          transitions[label].nodes.push(edge.to);
+        }
+      }
+    }
+
+    return transitions;
+  }
+}
@@ -0,0 +1,565 @@
+'use strict';
+
+/**
+ * Checks whether every run of the specified graph satisfies the specified linear temporal logic
+ * formula. The atomic propositions of the formula are actions, an action holds in a step of a run
+ * when it is the action performed in that step.
+ *
+ * Hidden actions are not observable, so they are skipped over when the formula is evaluated. A run
+ * that stops performing observable actions, because it reaches a node without any edges or can only
+ * perform hidden actions from then on (see `terminalSets`), continues with idle steps in which no
+ * action holds. Once a run is idle it stays idle, repeating the hidden actions forever.
+ *
+ * The formula is negated and translated into a generalised Büchi automaton, which accepts exactly
+ * the runs that violate the formula, using the tableau construction of Gerth, Peled, Vardi and
+ * Wolper. The formula is satisfied if the product of the graph and the automaton has no
+ * accepting cycle.
+ *
+ * @param {!object} graph - the graph to check
+ * @param {!object} formula - the formula, made up of nodes of the form `{operator, operands}`. The
+ *                            operator is one of 'true', 'false', 'action' (whose only operand is the
+ *                            action), 'not', 'and', 'or', 'implies', 'iff', 'next', 'always',
+ *                            'eventually', 'until' or 'weak-until'
+ * @param {boolean} isFair - whether fair abstraction is performed, by default it is
+ * @returns {object} - a run that violates the formula, of the form `{prefix: [], cycle: []}`, or
+ *                     undefined if the formula is satisfied. The prefix is the edges leading from the
+ *                     root to a node from which the edges of the cycle can be repeated forever, the
+ *                     cycle is empty if the run stops at a node without any edges
+ */
+function checkLtl(graph, formula, isFair) {
+  isFair = (isFair === undefined) ? true : isFair;
+  var automaton = _ltlAutomaton(_ltlNormalForm(formula, true));
+  var idle = _ltlIdleEdges(graph, isFair);
+
+  // construct the product of the graph and the automaton, only keeping the edges that the
+  // automaton can follow. A product node is a node of the graph paired with a state of the
+  // automaton, which must hold for the next step the graph performs, and whether the run is idle
+  var product = new Graph();
+  var states = {};
+  var pairs = [];
+  var steps = {};
+  var worklist = [];
+  var initial = automaton.initial.map(function(state){ return _getNode(graph.root, state, false); });
+
+  while(worklist.length !== 0){
+    var current = worklist.shift();
+    var idleEdges = idle[current.node.id] || [];
+    if(current.isIdle){
+      // an idle step either stays at a node without any edges or follows a hidden edge that can be
+      // repeated forever
+      if(_ltlHolds(current.state, undefined)){
+        for(let i in idleEdges){
+          _addSteps(current, (idleEdges[i] === undefined) ? current.node : idleEdges[i].to, idleEdges[i]);
+        }
+      }
+      continue;
+    }
+
+    var edges = current.node.edgesFromMe;
+    for(let i in edges){
+      var edge = edges[i];
+      if(edge.isHidden || edge.isDeadlock){
+        _addEdge(current, _getNode(edge.to, current.state, false), edge, false);
+      }
+      else if(_ltlHolds(current.state, edge.label)){
+        _addSteps(current, edge.to, edge);
+      }
+    }
+
+    if(idleEdges.length !== 0){
+      _addEdge(current, _getNode(current.node, current.state, true), undefined, false);
+    }
+  }
+
+  // the components are ordered so that those closest to the root are checked first
+  var components = stronglyConnectedComponents(initial, function(){ return true; });
+  for(let i in components){
+    var lasso = _constructLasso(components[i]);
+    if(lasso !== undefined){
+      return {prefix: _toEdges(lasso.prefix), cycle: _toEdges(lasso.cycle)};
+    }
+  }
+
+  return undefined;
+
+  /**
+   * Helper function for the check ltl function which returns the product node for the specified
+   * node, automaton state and idleness. If it has not been constructed yet then it is added to the
+   * product and to the worklist.
+   *
+   * @private
+   * @param {!Node} node - the node of the graph
+   * @param {!Object} state - the state of the automaton
+   * @param {!boolean} isIdle - whether the run is idle
+   * @returns {!Node} the product node
+   */
+  function _getNode(node, state, isIdle){
+    var key = node.id + ',' + state.id + ',' + isIdle;
+    if(states[key] === undefined){
+      states[key] = {product: product.addNode(pairs.length), node: node, state: state, isIdle: isIdle};
+      pairs.push(states[key]);
+      worklist.push(states[key]);
+    }
+
+    return states[key].product;
+  }
+
+  /**
+   * Helper function for the check ltl function which adds the steps of the automaton from the
+   * specified product node, performing the specified edge of the graph, to the product.
+   *
+   * @private
+   * @param {!Object} current - the product node the steps are from
+   * @param {!Node} to - the node of the graph the steps are to
+   * @param {Edge} edge - the edge of the graph being performed, undefined if the run stays put
+   */
+  function _addSteps(current, to, edge){
+    var successors = current.state.successors;
+    for(let i in successors){
+      _addEdge(current, _getNode(to, successors[i], current.isIdle), edge, true);
+    }
+  }
+
+  /**
+   * Helper function for the check ltl function which adds an edge to the product.
+   *
+   * @private
+   * @param {!Object} current - the product node the edge is from
+   * @param {!Node} to - the product node the edge is to
+   * @param {Edge} edge - the edge of the graph the product edge performs, if any
+   * @param {!boolean} isStep - whether the automaton takes a step along the product edge
+   */
+  function _addEdge(current, to, edge, isStep){
+    var added = product.addEdge(product.edgeCount, current.product, to);
+    steps[added.id] = {edge: edge, isStep: isStep};
+  }
+
+  /**
+   * Helper function for the check ltl function which constructs a lasso shaped run through the
+   * specified strongly connected component of the product, if the automaton accepts the runs
+   * that repeat the component forever. The cycle passes through a state in each of the automaton's
+   * acceptance sets and takes at least one step of the automaton.
+   *
+   * @private
+   * @param {!Array} component - the product nodes in the component
+   * @returns {Object} the product edges of the prefix and the cycle, or undefined if the
+   *                   component is not accepting
+   */
+  function _constructLasso(component){
+    var ids = {};
+    for(let i in component){
+      ids[component[i].id] = true;
+    }
+    var isInComponent = function(edge){ return ids[edge.to.id] === true; };
+    var isStep = function(edge){ return isInComponent(edge) && steps[edge.id].isStep; };
+    var hasStep = function(node){ return node.edgesFromMe.some(isStep); };
+
+    if(!component.some(hasStep)){
+      return undefined;
+    }
+    for(let i in automaton.acceptance){
+      if(!component.some(_isAccepting(automaton.acceptance[i]))){
+        return undefined;
+      }
+    }
+
+    var prefix = _ltlPath(initial, function(node){ return ids[node.id] === true; }, function(){ return true; });
+    var start = prefix.node;
+    var cycle = [];
+    var current = start;
+    var path;
+    for(let i in automaton.acceptance){
+      path = _ltlPath([current], _isAccepting(automaton.acceptance[i]), isInComponent);
+      cycle = cycle.concat(path.edges);
+      current = path.node;
+    }
+
+    path = _ltlPath([current], hasStep, isInComponent);
+    var step = _.find(path.node.edgesFromMe, isStep);
+    cycle = cycle.concat(path.edges, [step]);
+    path = _ltlPath([step.to], function(node){ return node === start; }, isInComponent);
+    cycle = cycle.concat(path.edges);
+
+    return {prefix: prefix.edges, cycle: cycle};
+  }
+
+  /**
+   * Helper function for the check ltl function which returns a function that determines whether
+   * a product node is paired with an automaton state in the specified acceptance set.
+   *
+   * @private
+   * @param {!Object} acceptance - a map of the ids of the automaton states in the acceptance set
+   * @returns {!function} the function
+   */
+  function _isAccepting(acceptance){
+    return function(node){ return acceptance[pairs[node.id].state.id] === true; };
+  }
+
+  /**
+   * Helper function for the check ltl function which returns the edges of the graph performed by
+   * the specified product edges, leaving out the ones that do not perform an edge.
+   *
+   * @private
+   * @param {!Array} edges - the product edges
+   * @returns {!Array} the edges of the graph
+   */
+  function _toEdges(edges){
+    return edges.map(function(edge){ return steps[edge.id].edge; }).filter(function(edge){
+      return edge !== undefined;
+    });
+  }
+}
+
+/**
+ * Constructs the negation normal form of the specified linear temporal logic formula, or of its
+ * negation. Negations only appear in front of actions, and every operator is rewritten in terms
+ * of 'and', 'or', 'next', 'until' and 'release'. Each node of the constructed formula has a key
+ * which is the same for equal formulas.
+ *
+ * @private
+ * @param {!object} formula - the formula, as given to `checkLtl`
+ * @param {!boolean} isNegated - whether the negation of the formula is constructed
+ * @returns {!object} - the formula in negation normal form
+ */
+function _ltlNormalForm(formula, isNegated) {
+  var operands = formula.operands;
+  switch(formula.operator){
+    case 'true':
+    case 'false':
+      return _node(((formula.operator === 'true') !== isNegated) ? 'true' : 'false', []);
+    case 'action':
+      var node = _node(isNegated ? 'not-action' : 'action', []);
+      node.action = operands[0];
+      node.key += ' ' + node.action;
+      return node;
+    case 'not':
+      return _ltlNormalForm(operands[0], !isNegated);
+    case 'and':
+    case 'or':
+      var isAnd = (formula.operator === 'and') !== isNegated;
+      return _node(isAnd ? 'and' : 'or', operands.map(function(operand){
+        return _ltlNormalForm(operand, isNegated);
+      }));
+    case 'implies':
+      // a -> b is !a || b
+      return _ltlNormalForm(_formula('or', [_formula('not', [operands[0]]), operands[1]]), isNegated);
+    case 'iff':
+      // a <-> b is (a -> b) && (b -> a)
+      return _ltlNormalForm(_formula('and', [
+        _formula('implies', operands), _formula('implies', [operands[1], operands[0]])
+      ]), isNegated);
+    case 'next':
+      return _node('next', [_ltlNormalForm(operands[0], isNegated)]);
+    case 'eventually':
+      // <>a is true U a
+      return _ltlNormalForm(_formula('until', [_formula('true', []), operands[0]]), isNegated);
+    case 'always':
+      // []a is false R a
+      return _ltlNormalForm(_formula('release', [_formula('false', []), operands[0]]), isNegated);
+    case 'weak-until':
+      // a W b is b R (a || b)
+      return _ltlNormalForm(_formula('release', [operands[1], _formula('or', operands)]), isNegated);
+    case 'until':
+    case 'release':
+      // !(a U b) is !a R !b
+      var isUntil = (formula.operator === 'until') !== isNegated;
+      return _node(isUntil ? 'until' : 'release', operands.map(function(operand){
+        return _ltlNormalForm(operand, isNegated);
+      }));
+    default:
+      throw new Graph.Exception('"' + formula.operator + '" is not a valid formula operator.');
+  }
+
+  /**
+   * Helper function for the ltl normal form function which constructs a formula node.
+   *
+   * @private
+   * @param {!string} operator - the operator
+   * @param {!Array} operands - the operands
+   * @returns {!Object} the formula node
+   */
+  function _formula(operator, operands){
+    return {operator: operator, operands: operands};
+  }
+
+  /**
+   * Helper function for the ltl normal form function which constructs a node of the formula in
+   * negation normal form.
+   *
+   * @private
+   * @param {!string} operator - the operator
+   * @param {!Array} operands - the operands, which are in negation normal form
+   * @returns {!Object} the node
+   */
+  function _node(operator, operands){
+    var key = operator;
+    if(operands.length !== 0){
+      key += '(' + _.pluck(operands, 'key').join(',') + ')';
+    }
+
+    return {operator: operator, operands: operands, key: key};
+  }
+}
+
+/**
+ * Constructs a generalised Büchi automaton that accepts the runs satisfying the specified formula.
+ * Each state of the automaton contains the formulas that hold from the step it is in onwards, and
+ * a step of a run can only be taken in a state if it satisfies the state's actions and negated
+ * actions. There is an acceptance set for each 'until' in the formula, containing the states where
+ * it is not waiting for the until's second operand to hold.
+ *
+ * @private
+ * @param {!object} formula - the formula, in negation normal form
+ * @returns {!object} - the automaton, of the form `{states: [], initial: [], acceptance: []}`, where
+ *                      each state has an id, its actions and the states that can follow it
+ */
+function _ltlAutomaton(formula) {
+  var states = [];
+  var count = 0;
+  var stack = [{id: count++, incoming: ['init'], pending: [formula], old: {}, next: {}}];
+
+  while(stack.length !== 0){
+    var state = stack.pop();
+    if(state.pending.length === 0){
+      _addState(state);
+      continue;
+    }
+
+    var current = state.pending.pop();
+    if(state.old[current.key] !== undefined){
+      stack.push(state);
+      continue;
+    }
+
+    var operands = current.operands;
+    switch(current.operator){
+      case 'false':
+        break;
+      case 'action':
+      case 'not-action':
+        var negation = ((current.operator === 'action') ? 'not-action ' : 'action ') + current.action;
+        if(state.old[negation] === undefined){
+          state.old[current.key] = current;
+          stack.push(state);
+        }
+        break;
+      case 'true':
+        state.old[current.key] = current;
+        stack.push(state);
+        break;
+      case 'and':
+        state.old[current.key] = current;
+        state.pending.push(operands[0], operands[1]);
+        stack.push(state);
+        break;
+      case 'next':
+        state.old[current.key] = current;
+        state.next[operands[0].key] = operands[0];
+        stack.push(state);
+        break;
+      default:
+        // 'or', 'until' and 'release' are split into two states for the ways they can hold
+        var split = _copyState(state);
+        state.old[current.key] = current;
+        split.old[current.key] = current;
+        if(current.operator === 'or'){
+          state.pending.push(operands[0]);
+          split.pending.push(operands[1]);
+        }
+        else if(current.operator === 'until'){
+          // a U b is b || (a && X(a U b))
+          state.pending.push(operands[0]);
+          state.next[current.key] = current;
+          split.pending.push(operands[1]);
+        }
+        else{
+          // a R b is (a && b) || (b && X(a R b))
+          state.pending.push(operands[1]);
+          state.next[current.key] = current;
+          split.pending.push(operands[0], operands[1]);
+        }
+        stack.push(state, split);
+        break;
+    }
+  }
+
+  // link the states to the states that can follow them
+  var initial = [];
+  var ids = {};
+  for(let i in states){
+    ids[states[i].id] = states[i];
+    states[i].successors = [];
+    states[i].actions = _.values(states[i].old).filter(function(formula){
+      return formula.operator === 'action' || formula.operator === 'not-action';
+    });
+  }
+  for(let i in states){
+    var incoming = states[i].incoming;
+    for(let j in incoming){
+      if(incoming[j] === 'init'){
+        initial.push(states[i]);
+      }
+      else{
+        ids[incoming[j]].successors.push(states[i]);
+      }
+    }
+  }
+
+  var acceptance = _untils(formula, {}).map(function(until){
+    var accepting = {};
+    for(let i in states){
+      if(states[i].old[until.key] === undefined || states[i].old[until.operands[1].key] !== undefined){
+        accepting[states[i].id] = true;
+      }
+    }
+    return accepting;
+  });
+
+  return {states: states, initial: initial, acceptance: acceptance};
+
+  /**
+   * Helper function for the ltl automaton function which adds the specified fully expanded state
+   * to the automaton. If there is already a state with the same formulas then the incoming states
+   * are added to it instead, otherwise a state for the formulas that must hold next is expanded.
+   *
+   * @private
+   * @param {!Object} state - the state to add
+   */
+  function _addState(state){
+    state.key = Object.keys(state.old).sort().join(';') + '|' + Object.keys(state.next).sort().join(';');
+    var existing = _.find(states, {key: state.key});
+    if(existing !== undefined){
+      existing.incoming = _.union(existing.incoming, state.incoming);
+      return;
+    }
+
+    states.push(state);
+    stack.push({id: count++, incoming: [state.id], pending: _.values(state.next), old: {}, next: {}});
+  }
+
+  /**
+   * Helper function for the ltl automaton function which copies the specified state with a new id.
+   *
+   * @private
+   * @param {!Object} state - the state to copy
+   * @returns {!Object} the copy
+   */
+  function _copyState(state){
+    return {
+      id: count++,
+      incoming: state.incoming.slice(),
+      pending: state.pending.slice(),
+      old: _.clone(state.old),
+      next: _.clone(state.next)
+    };
+  }
+
+  /**
+   * Helper function for the ltl automaton function which returns the 'until' subformulas of the
+   * specified formula, each of which is only returned once.
+   *
+   * @private
+   * @param {!Object} formula - the formula
+   * @param {!Object} found - a map of the keys of the subformulas already found
+   * @returns {!Array} the subformulas
+   */
+  function _untils(formula, found){
+    var untils = [];
+    if(formula.operator === 'until' && !found[formula.key]){
+      found[formula.key] = true;
+      untils.push(formula);
+    }
+    for(let i in formula.operands){
+      untils = untils.concat(_untils(formula.operands[i], found));
+    }
+
+    return untils;
+  }
+}
+
+/**
+ * Returns true if a step performing the specified action can be taken in the specified state of
+ * an automaton constructed by `_ltlAutomaton`.
+ *
+ * @private
+ * @param {!object} state - the state of the automaton
+ * @param {string} action - the action performed, or undefined for an idle step
+ * @returns {!boolean} - whether the step can be taken
+ */
+function _ltlHolds(state, action) {
+  return state.actions.every(function(formula){
+    return (formula.action === action) === (formula.operator === 'action');
+  });
+}
+
+/**
+ * Returns a map from the ids of the nodes of the specified graph where a run can stop performing
+ * observable actions to the idle steps it can take from them. A node without any edges stays put,
+ * which is represented by an undefined edge, and a node in a terminal set that only contains
+ * hidden edges follows those edges.
+ *
+ * @private
+ * @param {!object} graph - the graph
+ * @param {!boolean} isFair - whether fair abstraction is performed
+ * @returns {!object} - the map from node ids to arrays of edges
+ */
+function _ltlIdleEdges(graph, isFair) {
+  var idle = {};
+  var nodes = graph.nodes;
+  for(let i in nodes){
+    if(nodes[i].edgesFromMe.length === 0){
+      idle[nodes[i].id] = [undefined];
+    }
+  }
+
+  // terminalSets function is defined in 'terminal-sets.js' in scripts folder
+  var sets = terminalSets(graph, isFair);
+  for(let i in sets){
+    var edges = sets[i].edges;
+    if(edges.every(function(edge){ return edge.isHidden; })){
+      for(let j in edges){
+        var id = edges[j].from.id;
+        idle[id] = (idle[id] || []).concat(edges[j]);
+      }
+    }
+  }
+
+  return idle;
+}
+
+/**
+ * Finds a shortest path from one of the specified nodes to a node for which the specified function
+ * returns true, only following the edges for which the other specified function returns true.
+ *
+ * @private
+ * @param {!Array} nodes - the nodes to start from
+ * @param {!function} isTarget - returns true for the nodes to find
+ * @param {!function} isFollowed - returns whether an edge is followed
+ * @returns {object} - the node found and the edges to it, of the form `{node, edges}`, or
+ *                     undefined if no such node can be reached
+ */
+function _ltlPath(nodes, isTarget, isFollowed) {
+  var queue = nodes.map(function(node){ return {node: node, edges: []}; });
+  var visited = {};
+  for(let i in nodes){
+    visited[nodes[i].id] = true;
+  }
+
+  while(queue.length !== 0){
+    var current = queue.shift();
+    if(isTarget(current.node)){
+      return current;
+    }
+
+    var edges = current.node.edgesFromMe;
+    for(let i in edges){
+      var edge = edges[i];
+      if(isFollowed(edge) && !visited[edge.to.id]){
+        visited[edge.to.id] = true;
+        queue.push({node: edge.to, edges: current.edges.concat(edge)});
+      }
+    }
+  }
+
+  return undefined;
+}
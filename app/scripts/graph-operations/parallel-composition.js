@@ -1,7 +1,17 @@
 'use strict';
 
 /**
- * Constructs and returns a parallel composition of the two specified graphs.
+ * Constructs and returns a parallel composition of the two specified graphs. Only the combined
+ * states which are reachable from the combined root of both graphs are constructed, these are
+ * explored outwards from the root using a worklist.
+ *
+ * Plain actions that are in the alphabets of both graphs must be performed by both graphs at the
+ * same time, every other plain action is performed by its graph on its own.
+ * A broadcasting action ('!a') is never blocked: when one graph broadcasts it, the other graph
+ * takes a listening transition ('?a') at the same time if it can and is unaffected otherwise.
+ * The combined transition is still broadcasting and a combined listening transition ('?a') moves
+ * every graph that can listen, so that composing the result with another graph gives the same
+ * product as composing all of the graphs at once.
  *
  * @class
  * @param {!Object} graph1 - the first graph
@@ -9,93 +19,156 @@
  * @returns - parallel composition of the two graphs
  */
 function parallelComposition(graph1, graph2) {
-  var nodes1 = graph1.nodes;
-  var nodes2 = graph2.nodes;
-  var graph = _combineStates(nodes1, nodes2);
-  var alphabet = _alphabetUnion(graph1.alphabet, graph2.alphabet);
-
-  // add edges
-  for(var i = 0; i < nodes1.length; i++){
-    var node1 = nodes1[i];
-          
-    for(var j = 0; j < nodes2.length; j++){
-      var node2 = nodes2[j];
-      var fromId = _getId(graph, node1, node2);
-
-      for(let action in alphabet){
-
-        var c1 = node1.coaccessible(action);
-        var c2 = node2.coaccessible(action);
-
-        for(let x in c1){
-          var coaccessible1 = c1[x];
-          for(let y in c2){
-            var coaccessible2 = c2[y];
-
-            // check if an edge is needed from the current combined states
-
-            // check if the current action is performed by both the current nodes
-            if(coaccessible1 !== undefined && coaccessible2 !== undefined) {
-              // calculate the id of the node the new edge is transitioning to
-              var toId = _getId(graph, coaccessible1, coaccessible2);
-              graph.addEdge(EdgeUid.next, graph.getNode(fromId), graph.getNode(toId), action);
-            }
-
-            // check if the current action is done by the outer node and is never performed in the second graph
-            else if(coaccessible1 !== undefined && !graph2.containsEdgeInAlphabet(action)) {
-              // calculate the id of the node the new edge is transitioning to
-              var toId = _getId(graph, coaccessible1, node2);
-              graph.addEdge(EdgeUid.next, graph.getNode(fromId), graph.getNode(toId), action);
-            }
-
-            // check if the current action is done by the inner node and is never performed in the first graph
-            else if(coaccessible2 !== undefined && !graph1.containsEdgeInAlphabet(action)) {
-              // calculate the id of the node the new edge is transitioning to
-              var toId = _getId(graph, node1, coaccessible2);
-              graph.addEdge(EdgeUid.next, graph.getNode(fromId), graph.getNode(toId), action);
-            }
-          }
-        }
+  var graph = new Graph();
+  var alphabet1 = _prefixedAlphabet(graph1);
+  var alphabet2 = _prefixedAlphabet(graph2);
+
+  // map of the combined states which have been constructed so far
+  var states = {};
+  var worklist = [];
+  _getNode(graph1.root, graph2.root);
+
+  while(worklist.length !== 0){
+    var state = worklist.shift();
+    var node1 = state.node1;
+    var node2 = state.node2;
+    var from = state.node;
+
+    var transitions1 = _transitions(node1);
+    var transitions2 = _transitions(node2);
+    var labels = _alphabetUnion(transitions1, transitions2);
+
+    for(let label in labels){
+      var c1 = transitions1[label];
+      var c2 = transitions2[label];
+
+      if(label[0] === '!'){
+        // the broadcast is performed by either graph, the other graph listens if it is able to
+        var listen = '?' + label.slice(1);
+        _addEdges(from, label, c1, transitions2[listen] || [node2]);
+        _addEdges(from, label, transitions1[listen] || [node1], c2);
+      }
+      else if(label[0] === '?'){
+        // every graph that is able to listen does so
+        _addEdges(from, label, c1 || [node1], c2 || [node2]);
+      }
+
+      // check if the current action is performed by both the current nodes
+      else if(c1 !== undefined && c2 !== undefined){
+        _addEdges(from, label, c1, c2);
+      }
+
+      // check if the current action is done by the outer node and is never performed in the second graph
+      else if(c1 !== undefined && !alphabet2[label]){
+        _addEdges(from, label, c1, [node2]);
+      }
+
+      // check if the current action is done by the inner node and is never performed in the first graph
+      else if(c2 !== undefined && !alphabet1[label]){
+        _addEdges(from, label, [node1], c2);
       }
     }
   }
 
-  graph.trim();
   return graph;
 
   /**
-   * Helper function for the parallel composition function which combines both sets of specified
-   * nodes into a single graph.
+   * Helper function for the parallel composition function which returns the node for the
+   * combined state of the two specified nodes. If the combined state has not been
+   * constructed yet then a node is added for it and it is added to the worklist.
+   *
+   * @private
+   * @param {!Node} node1 - the node from the first graph
+   * @param {!Node} node2 - the node from the second graph
+   * @returns {!Node} the node for the combined state
+   */
+  function _getNode(node1, node2) {
+    var key = node1.id + ',' + node2.id;
+    if(states[key] !== undefined){
+      return states[key].node;
+    }
+
+    var label1 = (node1.label !== '') ? node1.label : node1.id;
+    var label2 = (node2.label !== '') ? node2.label : node2.id;
+    var node = graph.addNode(NodeUid.next, (label1 + '.' + label2));
+
+    // if both states are a starting state make new node start state
+    if(node1._meta['startNode'] === true && node2._meta['startNode'] === true){
+      node.addMetaData('startNode', true);
+    }
+
+    // the combined state has stopped if both states have, and is an error if either state is
+    var terminal1 = node1.getMetaData('isTerminal');
+    var terminal2 = node2.getMetaData('isTerminal');
+    if(terminal1 === 'error' || terminal2 === 'error'){
+      node.addMetaData('isTerminal', 'error');
+    }
+    else if(terminal1 === 'stop' && terminal2 === 'stop'){
+      node.addMetaData('isTerminal', 'stop');
+    }
+
+    states[key] = {node: node, node1: node1, node2: node2};
+    worklist.push(states[key]);
+    return node;
+  }
+
+  /**
+   * Helper function for parallel composition which adds an edge with the specified label
+   * from the specified node to the combined state of each pair of the specified nodes.
    *
-   * @param {!Object} nodes1 - the first set of nodes
-   * @param {!Object} nodes2 - the second set of nodes
-   * @returns {!Object} - a graph containing the combined states of the two specified node sets
+   * @private
+   * @param {!Node} from - the node for the current combined state
+   * @param {!string} label - the label, including its broadcasting or listening prefix
+   * @param {Array} nodes1 - the nodes from the first graph
+   * @param {Array} nodes2 - the nodes from the second graph
    */
-  function _combineStates(nodes1, nodes2) {
-    var graph = new Graph();
-    
-    // combine states
-    for(let i in nodes1){
-      var node1 = nodes1[i];
-      // determine if current node is a final node in the first graph
-      var startState1 = node1._meta['startNode'] === true;
-      var label1 = (node1.label !== '') ? node1.label : node1.id;   
-      
-      for(let j in nodes2){
-        var node2 = nodes2[j];
-        // determine if the current node is a final node in the second graph
-        var startState2 = node2._meta['startNode'] === true;
-        var label2 = (node2.label !== '') ? node2.label : node2.id;
-        var node = graph.addNode(NodeUid.next, (label1 + "." + label2));
-
-        // if both states are a starting state make new node start state
-        if(startState1 && startState2){
-          node.addMetaData('startNode', true);
-        }
+  function _addEdges(from, label, nodes1, nodes2) {
+    if(nodes1 === undefined || nodes2 === undefined){
+      return;
+    }
+
+    for(var i = 0; i < nodes1.length; i++){
+      for(var j = 0; j < nodes2.length; j++){
+        graph.addEdge(EdgeUid.next, from, _getNode(nodes1[i], nodes2[j]), label);
       }
     }
+  }
+
+  /**
+   * Helper function for parallel composition which returns the transitions from the
+   * specified node, mapped from their labels (including any broadcasting or listening
+   * prefix) to the nodes they transition to.
+   *
+   * @private
+   * @param {!Node} node - the node
+   * @returns {object} - the transitions from the node
+   */
+  function _transitions(node) {
+    var transitions = {};
+    node.edgesFromMe.forEach(function(edge) {
+      var label = Graph._prefixedLabel(edge);
+      transitions[label] = transitions[label] || [];
+      transitions[label].push(edge.to);
+    });
+
+    return transitions;
+  }
+
+  /**
+   * Helper function for parallel composition which returns the alphabet of the specified
+   * graph, with the labels including any broadcasting or listening prefix.
+   *
+   * @private
+   * @param {!Object} graph - the graph
+   * @returns {object} - the alphabet
+   */
+  function _prefixedAlphabet(graph) {
+    var alphabet = {};
+    graph.edges.forEach(function(edge) {
+      alphabet[Graph._prefixedLabel(edge)] = true;
+    });
 
-    return graph;
+    return alphabet;
   }
 
   /**
@@ -119,31 +192,4 @@ function parallelComposition(graph1, graph2) {
 
     return alphabet;
   }
-
-  /**
-   * Helper function for the parallel composition function which returns
-   * the node id for the node matching the combined state of the two
-   * specified labels. If a state cannot be found based on these labels then
-   * undefined is returned.
-   *
-   * @private
-   * @param {!Graph} graph - the graph to search for node in
-   * @param {!string} node1 - the first node in the combined state
-   * @param {!string} node2 - the second node in the combined state
-   * @returns {!integer | undefined} the node id or undefined
-   */
-  function _getId(graph, node1, node2) {
-    var label1 = (node1.label === '') ? node1.id : node1.label;
-    var label2 = (node2.label === '') ? node2.id : node2.label;
-    var label = label1 + '.' + label2;
-    var nodes = graph.nodes;
-    for(let i in nodes){
-      var node = nodes[i];
-      if(node.label === label){
-        return node.id;
-      }
-    }
-
-    return undefined;
-  }
-}
\ No newline at end of file
+}
@@ -0,0 +1,176 @@
+'use strict';
+
+/**
+ * Returns the sets of nodes that the specified graph can end up repeating forever once it has entered
+ * them. These are the terminal strongly connected components that can be reached from the root of
+ * the graph, apart from those without any edges between their nodes, which are deadlocks.
+ *
+ * Hidden edges are followed like any other edge. With fair abstraction a hidden edge that leaves a
+ * cycle is eventually taken, but with unfair abstraction a cycle of hidden edges can be repeated
+ * forever, so the strongly connected components formed by hidden edges are also returned, even
+ * when a terminal set containing the same nodes has already been found.
+ *
+ * @param {!object} graph - the graph to find the terminal sets of
+ * @param {boolean} isFair - whether fair abstraction is performed, by default it is
+ * @returns {!Array} - the terminal sets, of the form `{nodes: [], edges: []}` and ordered by node id
+ */
+function terminalSets(graph, isFair) {
+  isFair = (isFair === undefined) ? true : isFair;
+  var sets = [];
+  var found = {};
+
+  var components = stronglyConnectedComponents([graph.root], function(){ return true; });
+  for(let i in components){
+    var set = _constructSet(components[i], function(){ return true; });
+    if(set !== undefined && set.isTerminal){
+      _addSet(set);
+    }
+  }
+
+  // with unfair abstraction every cycle of hidden edges can be repeated forever
+  if(!isFair){
+    var reachable = _.flatten(components);
+    components = stronglyConnectedComponents(reachable, function(edge){ return edge.isHidden; });
+    for(let i in components){
+      var hidden = _constructSet(components[i], function(edge){ return edge.isHidden; });
+      if(hidden !== undefined){
+        _addSet(hidden);
+      }
+    }
+  }
+
+  return sets;
+
+  /**
+   * Helper function for the terminal sets function which adds the specified set to the
+   * terminal sets, unless a set containing the same nodes and edges has already been added.
+   *
+   * @private
+   * @param {!Object} set - the set to add
+   */
+  function _addSet(set){
+    var key = _.pluck(set.nodes, 'id').join(',') + '|' + _.pluck(set.edges, 'id').sort().join(',');
+    if(!found[key]){
+      found[key] = true;
+      sets.push({nodes: set.nodes, edges: set.edges});
+    }
+  }
+
+  /**
+   * Helper function for the terminal sets function which constructs the set for the specified
+   * strongly connected component, containing its nodes and the followed edges between them.
+   *
+   * @private
+   * @param {!Array} nodes - the nodes in the component
+   * @param {!function} isFollowed - returns whether an edge is part of the component
+   * @returns {Object} the set and whether it is terminal, or undefined if it has no edges
+   */
+  function _constructSet(nodes, isFollowed){
+    var ids = {};
+    for(let i in nodes){
+      ids[nodes[i].id] = true;
+    }
+
+    var edges = [];
+    var isTerminal = true;
+    for(let i in nodes){
+      var edgesFromMe = nodes[i].edgesFromMe;
+      for(let j in edgesFromMe){
+        var edge = edgesFromMe[j];
+        if(!ids[edge.to.id]){
+          isTerminal = false;
+        }
+        else if(isFollowed(edge)){
+          edges.push(edge);
+        }
+      }
+    }
+
+    if(edges.length === 0){
+      return undefined;
+    }
+
+    nodes = nodes.slice().sort(function(a, b){ return a.id - b.id; });
+    return {nodes: nodes, edges: edges, isTerminal: isTerminal};
+  }
+}
+
+/**
+ * Finds the strongly connected components of the nodes that can be reached from the specified
+ * nodes, using Tarjan's algorithm. The search is iterative so that large graphs do not
+ * overflow the call stack.
+ *
+ * @param {!Array} nodes - the nodes to start searching from
+ * @param {!function} isFollowed - returns whether an edge is followed by the search
+ * @returns {!Array} - the components, each an array of nodes, in the order they are reached
+ */
+function stronglyConnectedComponents(nodes, isFollowed) {
+  var index = {};
+  var lowLink = {};
+  var onStack = {};
+  var stack = [];
+  var components = [];
+  var count = 0;
+
+  for(let i in nodes){
+    if(index[nodes[i].id] !== undefined){
+      continue;
+    }
+
+    var callStack = [_visit(nodes[i])];
+    while(callStack.length !== 0){
+      var frame = callStack[callStack.length - 1];
+      var id = frame.node.id;
+
+      // visit the next node this node has an edge to
+      if(frame.next < frame.edges.length){
+        var to = frame.edges[frame.next++].to;
+        if(index[to.id] === undefined){
+          callStack.push(_visit(to));
+        }
+        else if(onStack[to.id]){
+          lowLink[id] = Math.min(lowLink[id], index[to.id]);
+        }
+        continue;
+      }
+
+      callStack.pop();
+      if(callStack.length !== 0){
+        var parent = callStack[callStack.length - 1].node.id;
+        lowLink[parent] = Math.min(lowLink[parent], lowLink[id]);
+      }
+
+      // this node is the root of a component so pop the component off the stack
+      if(lowLink[id] === index[id]){
+        var component = [];
+        var node;
+        do {
+          node = stack.pop();
+          onStack[node.id] = false;
+          component.push(node);
+        } while(node !== frame.node);
+        components.push(component);
+      }
+    }
+  }
+
+  // components are found after the components they can reach
+  return components.reverse();
+
+  /**
+   * Helper function for the strongly connected components function which indexes the
+   * specified node and constructs the frame for searching from it.
+   *
+   * @private
+   * @param {!Node} node - the node to visit
+   * @returns {!Object} the frame for the node
+   */
+  function _visit(node){
+    index[node.id] = count;
+    lowLink[node.id] = count;
+    count++;
+    stack.push(node);
+    onStack[node.id] = true;
+    return {node: node, edges: node.edgesFromMe.filter(isFollowed), next: 0};
+  }
+}
@@ -0,0 +1,218 @@
+'use strict';
+
+/**
+ * Determines if the specified graphs are trace equivalent, which is when both graphs are
+ * able to perform exactly the same sequences of observable actions. Hidden actions are
+ * not observable and therefore do not appear in traces.
+ *
+ * @param {!object} graph1 - the first graph
+ * @param {!object} graph2 - the second graph
+ * @returns {array} - a shortest trace that can be performed by only one of the graphs, or
+ *                    undefined if the graphs are trace equivalent
+ */
+function traceEquivalence(graph1, graph2) {
+  return _distinguishingTrace(graph1, graph2, false);
+}
+
+/**
+ * Determines if the first graph is a trace refinement of the second graph, which is when
+ * every trace of the first graph is also a trace of the second graph.
+ *
+ * @param {!object} graph1 - the refining graph
+ * @param {!object} graph2 - the graph being refined
+ * @returns {array} - a shortest trace of the first graph that is not a trace of the second
+ *                    graph, or undefined if the first graph refines the second graph
+ */
+function traceRefinement(graph1, graph2) {
+  return _distinguishingTrace(graph1, graph2, true);
+}
+
+/**
+ * Finds a shortest trace from the root of the specified graph to a node for which the specified
+ * function returns true. The trace only contains the observable actions along the path, hidden
+ * actions are not observable and therefore do not appear in traces.
+ *
+ * @param {!object} graph - the graph to search
+ * @param {!function} isTarget - called with each node reached, returns true for the nodes to find
+ * @returns {array} - the trace, or undefined if no such node can be reached
+ */
+function shortestTrace(graph, isTarget) {
+  var found = shortestTraces(graph, isTarget, 1);
+  return (found.length !== 0) ? found[0].trace : undefined;
+}
+
+/**
+ * Finds every node that can be reached from the root of the specified graph for which the
+ * specified function returns true, along with a shortest trace to each of them (as constructed
+ * by `shortestTrace`). The nodes are found in breadth first order.
+ *
+ * @param {!object} graph - the graph to search
+ * @param {!function} isTarget - called with each node reached, returns true for the nodes to find
+ * @param {number} limit - the maximum number of nodes to find, by default there is no maximum
+ * @returns {!array} - the nodes found and their traces, of the form `{node, trace}`
+ */
+function shortestTraces(graph, isTarget, limit) {
+  limit = (limit === undefined) ? Infinity : limit;
+  var found = [];
+  var queue = [{node: graph.root, trace: []}];
+  var visited = {};
+  visited[graph.root.id] = true;
+
+  while(queue.length !== 0 && found.length < limit){
+    var current = queue.shift();
+    if(isTarget(current.node)){
+      found.push(current);
+    }
+
+    var edges = current.node.edgesFromMe;
+    for(let i in edges){
+      var edge = edges[i];
+      if(!visited[edge.to.id]){
+        visited[edge.to.id] = true;
+        var trace = edge.isHidden ? current.trace : current.trace.concat(Graph._prefixedLabel(edge));
+        queue.push({node: edge.to, trace: trace});
+      }
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Performs a breadth first search over the sets of nodes that each graph can be in after
+ * performing the same trace. The first trace found which only one of the graphs can perform
+ * is returned, which is guaranteed to be one of the shortest such traces.
+ *
+ * @private
+ * @param {!object} graph1 - the first graph
+ * @param {!object} graph2 - the second graph
+ * @param {!boolean} isRefinement - if true only traces of the first graph are checked
+ * @returns {array} - the distinguishing trace, or undefined if there is none
+ */
+function _distinguishingTrace(graph1, graph2, isRefinement) {
+  var start = {
+    nodes1: _tauClosure([graph1.root]),
+    nodes2: _tauClosure([graph2.root]),
+    trace: []
+  };
+
+  var queue = [start];
+  var visited = {};
+  visited[_constructKey(start.nodes1, start.nodes2)] = true;
+
+  while(queue.length !== 0){
+    var current = queue.shift();
+    var transitions1 = _getTransitions(current.nodes1);
+    var transitions2 = _getTransitions(current.nodes2);
+
+    // check for actions the first graph can perform but the second cannot
+    for(let label in transitions1){
+      if(transitions2[label] === undefined){
+        return current.trace.concat(label);
+      }
+    }
+
+    // check for actions the second graph can perform but the first cannot
+    if(!isRefinement){
+      for(let label in transitions2){
+        if(transitions1[label] === undefined){
+          return current.trace.concat(label);
+        }
+      }
+    }
+
+    // add the sets of nodes reachable by actions both graphs can perform
+    for(let label in transitions1){
+      var next = {
+        nodes1: _tauClosure(transitions1[label]),
+        nodes2: _tauClosure(transitions2[label]),
+        trace: current.trace.concat(label)
+      };
+
+      var key = _constructKey(next.nodes1, next.nodes2);
+      if(!visited[key]){
+        visited[key] = true;
+        queue.push(next);
+      }
+    }
+  }
+
+  // if this point is reached then no distinguishing trace exists
+  return undefined;
+
+  /**
+   * Helper function for the distinguishing trace function which returns the specified nodes
+   * and all the nodes that can be reached from them through hidden edges.
+   *
+   * @private
+   * @param {!Array} nodes - the nodes to start from
+   * @returns {!Array} the tau closure of the specified nodes, ordered by node id
+   */
+  function _tauClosure(nodes){
+    var stack = nodes.slice();
+    var visited = {};
+    var closure = [];
+    while(stack.length !== 0){
+      var node = stack.pop();
+      if(visited[node.id]){
+        continue;
+      }
+      visited[node.id] = true;
+      closure.push(node);
+
+      var edges = node.edgesFromMe;
+      for(let i in edges){
+        if(edges[i].isHidden){
+          stack.push(edges[i].to);
+        }
+      }
+    }
+
+    return closure.sort(function(a, b){ return a.id - b.id; });
+  }
+
+  /**
+   * Helper function for the distinguishing trace function which constructs a map of the
+   * observable actions that can be performed from the specified nodes to the nodes that
+   * can be transitioned to by performing them.
+   *
+   * @private
+   * @param {!Array} nodes - the nodes to get transitions for
+   * @returns {!Object} a map of action labels (including any broadcasting or listening prefix) to arrays of nodes
+   */
+  function _getTransitions(nodes){
+    var transitions = {};
+    for(let i in nodes){
+      var edges = nodes[i].edgesFromMe;
+      for(let j in edges){
+        var edge = edges[j];
+        if(edge.isHidden || edge.isDeadlock){
+          continue;
+        }
+
+        var label = Graph._prefixedLabel(edge);
+        if(transitions[label] === undefined){
+          transitions[label] = [];
+        }
+        if(!_.contains(transitions[label], edge.to)){
+          transitions[label].push(edge.to);
+        }
+      }
+    }
+
+    return transitions;
+  }
+
+  /**
+   * Helper function for the distinguishing trace function which constructs a unique key
+   * for a pair of node sets.
+   *
+   * @private
+   * @param {!Array} nodes1 - the first ordered set of nodes
+   * @param {!Array} nodes2 - the second ordered set of nodes
+   * @returns {!string} the key
+   */
+  function _constructKey(nodes1, nodes2){
+    return _.pluck(nodes1, 'id').join(',') + '|' + _.pluck(nodes2, 'id').join(',');
+  }
+}
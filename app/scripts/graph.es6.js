@@ -2,13 +2,18 @@
 // jshint esnext:true
 'use strict';
 
-let _NODE_UID = 0; // used to return unique node id for NodeUid class
-let _EDGE_UID = 0; // used to return unique edge id for EdgeUid class
+let _NODE_UID = {value: 0}; // the counter used to return unique node ids for NodeUid class
+let _EDGE_UID = {value: 0}; // the counter used to return unique edge ids for EdgeUid class
+let _NODE_LIMIT = Infinity; // the maximum number of nodes in a graph, see GraphLimit class
+let _EDGE_LIMIT = Infinity; // the maximum number of edges in a graph, see GraphLimit class
 let TAU = '\u03C4';
 let DELTA = '\u03B4';
+let GRAPH_JSON_VERSION = 1; // the version of the JSON schema used by Graph.toJSON and Graph.fromJSON
 
 /**
  * Helper class for Graph which generates unique node identifiers.
+ * The identifiers are taken from the current counter, which can be replaced so that graphs that
+ * are never combined, such as those of different compilers, are numbered independently.
  *
  * @static
  */
@@ -21,22 +26,43 @@ class NodeUid {
    * @returns {!integer} - next node uid
    */
   static get next() {
-    return _NODE_UID++;
+    return _NODE_UID.value++;
   }
 
   /**
-   * Resets the node identifier to zero.
+   * Returns the counter the node identifiers are taken from.
+   *
+   * @static
+   * @returns {!object} - the counter, of the form `{value: integer}`
+   */
+  static get counter() {
+    return _NODE_UID;
+  }
+
+  /**
+   * Sets the counter the node identifiers are taken from.
+   *
+   * @static
+   * @param {!object} counter - the counter, of the form `{value: integer}`
+   */
+  static set counter(counter) {
+    _NODE_UID = counter;
+  }
+
+  /**
+   * Resets the node identifier of the current counter to zero.
    *
    * @static
    */
   static reset() {
-    _NODE_UID = 0;
+    _NODE_UID.value = 0;
   }
 
 }
 
 /**
- * Helper class for Graph which generates unique edge identifiers
+ * Helper class for Graph which generates unique edge identifiers.
+ * The identifiers are taken from the current counter, in the same way as NodeUid.
  *
  * @static
  */
@@ -49,16 +75,96 @@ class EdgeUid {
    * @returns {!integer} - next edge uid
    */
   static get next() {
-    return _EDGE_UID++;
+    return _EDGE_UID.value++;
+  }
+
+  /**
+   * Returns the counter the edge identifiers are taken from.
+   *
+   * @static
+   * @returns {!object} - the counter, of the form `{value: integer}`
+   */
+  static get counter() {
+    return _EDGE_UID;
+  }
+
+  /**
+   * Sets the counter the edge identifiers are taken from.
+   *
+   * @static
+   * @param {!object} counter - the counter, of the form `{value: integer}`
+   */
+  static set counter(counter) {
+    _EDGE_UID = counter;
   }
 
   /**
-   * Resets the edge identifier to zero.
+   * Resets the edge identifier of the current counter to zero.
    *
    * @static
    */
   static reset() {
-    _EDGE_UID = 0;
+    _EDGE_UID.value = 0;
+  }
+}
+
+/**
+ * Helper class for Graph which limits the number of nodes and edges a graph can have.
+ * Adding a node or edge to a graph that has reached its limit throws a Graph.LimitException,
+ * which stops large constructions (such as parallel compositions) before they run out of memory.
+ *
+ * @static
+ */
+class GraphLimit {
+
+  /**
+   * Returns the maximum number of nodes a graph can have.
+   *
+   * @static
+   * @returns {!number} - the node limit
+   */
+  static get nodes() {
+    return _NODE_LIMIT;
+  }
+
+  /**
+   * Sets the maximum number of nodes a graph can have.
+   *
+   * @static
+   * @param {!number} limit - the node limit
+   */
+  static set nodes(limit) {
+    _NODE_LIMIT = limit;
+  }
+
+  /**
+   * Returns the maximum number of edges a graph can have.
+   *
+   * @static
+   * @returns {!number} - the edge limit
+   */
+  static get edges() {
+    return _EDGE_LIMIT;
+  }
+
+  /**
+   * Sets the maximum number of edges a graph can have.
+   *
+   * @static
+   * @param {!number} limit - the edge limit
+   */
+  static set edges(limit) {
+    _EDGE_LIMIT = limit;
+  }
+
+  /**
+   * Removes the node and edge limits.
+   *
+   * @static
+   */
+  static reset() {
+    _NODE_LIMIT = Infinity;
+    _EDGE_LIMIT = Infinity;
   }
 }
 
@@ -82,6 +188,10 @@ class Graph {
     this._edgeMap = {};
     this._alphabet = {};
     this._rootId = undefined;
+
+    // indexes of the edges in this graph, kept up to date as edges are changed
+    this._edgesByFromAndLabel = {};
+    this._edgesByLabel = {};
   }
 
   /**
@@ -172,6 +282,7 @@ class Graph {
    * @param {!string} [label='']    - The node's label
    * @param {!object} [metaData={}] - Any meta data about this node that should be stored
    * @throws {Graph.Exception} uid must be unquie
+   * @throws {Graph.LimitException} the graph must have less nodes than the node limit
    * @returns {!Graph.Node} The node added to the graph
    */
   addNode(uid, label='', metaData={}) {
@@ -179,6 +290,10 @@ class Graph {
       throw new Graph.Exception(
         'This graph already contains a node with the id "' + uid + '".');
     }
+    if (this._nodeCount >= GraphLimit.nodes) {
+      throw new Graph.LimitException(
+        'This graph has reached the limit of ' + GraphLimit.nodes + ' nodes.', this, false);
+    }
 
     let node = new Graph.Node(this, uid, label,
       Graph._deepCloneObject(metaData));
@@ -201,6 +316,7 @@ class Graph {
    * @param {!Graph.Node} to     - The node this edges goes to
    * @param {!string} [label=''] - The edge's label
    * @throws {Graph.Exception} uid must be unquie
+   * @throws {Graph.LimitException} the graph must have less edges than the edge limit
    * @returns {!Graph.Edge} The edge added to the graph
    */
   addEdge(uid, from, to, label='') {
@@ -208,6 +324,10 @@ class Graph {
       throw new Graph.Exception(
         'This graph already contains a edge with id "' + uid + '".');
     }
+    if (this._edgeCount >= GraphLimit.edges) {
+      throw new Graph.LimitException(
+        'This graph has reached the limit of ' + GraphLimit.edges + ' edges.', this, true);
+    }
 
     let edge = new Graph.Edge(this, uid, from, to, label);
     this._edgeMap[uid] = edge;
@@ -215,6 +335,7 @@ class Graph {
 
     from._addEdgeFromMe(edge);
     to._addEdgeToMe(edge);
+    this._indexEdge(edge);
 
     this._alphabet[label] = true;
 
@@ -260,6 +381,71 @@ class Graph {
     return nodes;
   }
 
+  /**
+   * Returns the nodes and edges of this graph in breadth first order from the root.
+   * The order only depends on the structure of the graph and the labels of its edges, not on
+   * the ids of its nodes and edges, so the same graph is always traversed in the same order:
+   * the edges from each node are visited in the order of their labels, where edges with the same
+   * label are visited in the order that the nodes they go to were reached. Nodes that cannot be
+   * reached from the root are visited last, in the order of their ids.
+   *
+   * @returns {!object} The nodes and edges, of the form `{nodes: array, edges: array}`
+   */
+  breadthFirstOrder() {
+    let nodes = [];
+    let edges = [];
+    let order = {}; // the position of each node (by id) in nodes
+
+    // edges are compared by their labels, then by when the nodes they go to were reached
+    let compare = function(a, b) {
+      let labelA = Graph._prefixedLabel(a);
+      let labelB = Graph._prefixedLabel(b);
+      if (labelA !== labelB) {
+        return (labelA < labelB) ? -1 : 1;
+      }
+
+      let toA = (order[a.to.id] !== undefined) ? order[a.to.id] : Infinity;
+      let toB = (order[b.to.id] !== undefined) ? order[b.to.id] : Infinity;
+      if (toA !== toB) {
+        return (toA < toB) ? -1 : 1;
+      }
+      return a.id - b.id;
+    };
+
+    // start from the root, then from any nodes that were not reached
+    let starts = (this.root !== undefined) ? [this.root] : [];
+    let ids = Object.keys(this._nodeMap).sort(function(a, b) {
+      return a - b;
+    });
+    for (let i = 0; i < ids.length; i++) {
+      starts.push(this._nodeMap[ids[i]]);
+    }
+
+    let next = 0;
+    for (let i = 0; i < starts.length; i++) {
+      if (order[starts[i].id] !== undefined) {
+        continue;
+      }
+      order[starts[i].id] = nodes.length;
+      nodes.push(starts[i]);
+
+      // visit the nodes in the order they are reached
+      for (; next < nodes.length; next++) {
+        let edgesFromMe = nodes[next].edgesFromMe.sort(compare);
+        for (let j = 0; j < edgesFromMe.length; j++) {
+          let to = edgesFromMe[j].to;
+          if (order[to.id] === undefined) {
+            order[to.id] = nodes.length;
+            nodes.push(to);
+          }
+          edges.push(edgesFromMe[j]);
+        }
+      }
+    }
+
+    return {nodes: nodes, edges: edges};
+  }
+
   /**
    * Get an edge in the graph.
    *
@@ -280,9 +466,10 @@ class Graph {
    * @returns {boolean} Whether that edge exists or not
    */
   containsEdge(from, to, label) {
-    for (let i in this._edgeMap) {
-      let edge = this._edgeMap[i];
-      if (edge.from === from && edge.to === to && edge.label === label) {
+    let edges = this._getIndexedEdges(from.id, label);
+    for (let i in edges) {
+      let edge = edges[i];
+      if (edge.from === from && edge.to === to) {
         return true;
       }
     }
@@ -308,8 +495,9 @@ class Graph {
    * @returns {!boolean} Whether the specified edge is hidden or not
    */
   isHiddenEdge(edge) {
-    for (let i in this._edgeMap) {
-      if (this._edgeMap[i].label === edge && this._edgeMap[i].isHidden) {
+    let edges = this._edgesByLabel[edge];
+    for (let i in edges) {
+      if (edges[i].isHidden) {
         return true;
       }
     }
@@ -335,6 +523,7 @@ class Graph {
       this.removeEdge(node._edgesFromMe[i]);
     }
 
+    delete this._edgesByFromAndLabel[node.id];
     delete this._nodeMap[node.id];
     this._nodeCount -= 1;
 
@@ -353,6 +542,7 @@ class Graph {
       return;
     }
 
+    this._unindexEdge(edge);
     delete this._edgeMap[edge.id].to._edgesToMe[edge.id];
     delete this._edgeMap[edge.id].from._edgesFromMe[edge.id];
     delete this._edgeMap[edge.id];
@@ -368,20 +558,18 @@ class Graph {
     // search all nodes for duplicate edges
     let nodes = this._nodeMap;
     for (let i in nodes) {
-      let node = nodes[i];
-
-      // compare each edge from this node with all other edges from this node
-      let edges = node.edgesFromMe;
-      for (let j in edges) {
-        let edge1 = edges[j];
-
-        for (let k in edges) {
-          let edge2 = edges[k];
-
-          // remove edge if it is deemed to be a duplicate
-          if (j !== k && edge1.to.id === edge2.to.id && edge1.label === edge2.label) {
-            this.removeEdge(edge2);
-            delete edges[k];
+      let labels = this._edgesByFromAndLabel[nodes[i].id];
+
+      // only the first edge from this node to each node with each label is kept
+      for (let label in labels) {
+        let edges = labels[label];
+        let targets = {};
+        for (let j in edges) {
+          let edge = edges[j];
+          if (targets[edge.to.id]) {
+            this.removeEdge(edge);
+          } else {
+            targets[edge.to.id] = true;
           }
         }
       }
@@ -395,11 +583,8 @@ class Graph {
    */
   get hiddenEdges() {
     let hiddenEdges = [];
-    for (let i in this._edgeMap) {
-      let edge = this._edgeMap[i];
-      if (edge.isHidden) {
-        hiddenEdges.push(edge);
-      }
+    for (let i in this._edgesByLabel[TAU]) {
+      hiddenEdges.push(this._edgesByLabel[TAU][i]);
     }
     return hiddenEdges;
   }
@@ -411,11 +596,8 @@ class Graph {
    */
   get deadlockEdges() {
     let deadlockEdges = [];
-    for (let i in this._edgeMap) {
-      let edge = this._edgeMap[i];
-      if (edge.isDeadlock) {
-        deadlockEdges.push(edge);
-      }
+    for (let i in this._edgesByLabel[DELTA]) {
+      deadlockEdges.push(this._edgesByLabel[DELTA][i]);
     }
     return deadlockEdges;
   }
@@ -424,12 +606,9 @@ class Graph {
    * Removes the hidden edges from this graph.
    */
   removeHiddenEdges() {
-    for (let i in this._edgeMap) {
-      let edge = this._edgeMap[i];
-      // remove edge if it is hidden
-      if (edge.isHidden) {
-        this.removeEdge(edge);
-      }
+    let hiddenEdges = this.hiddenEdges;
+    for (let i in hiddenEdges) {
+      this.removeEdge(hiddenEdges[i]);
     }
 
     for (let i in this._nodeMap) {
@@ -444,6 +623,55 @@ class Graph {
     return this._alphabet;
   }
 
+  /**
+   * Get the edges in this graph from the specified node with the specified label.
+   * The returned object maps edge ids to edges and must not be modified.
+   *
+   * @protected
+   * @param {!number} fromId - The id of the node the edges come from
+   * @param {!string} label  - The label of the edges
+   * @returns {object} The edges, or undefined if there are none
+   */
+  _getIndexedEdges(fromId, label) {
+    let labels = this._edgesByFromAndLabel[fromId];
+    return (labels !== undefined) ? labels[label] : undefined;
+  }
+
+  /**
+   * Add the specified edge to this graph's edge indexes.
+   *
+   * @private
+   * @param {!Graph.Edge} edge - The edge to index
+   */
+  _indexEdge(edge) {
+    let fromId = edge._from.id;
+    if (this._edgesByFromAndLabel[fromId] === undefined) {
+      this._edgesByFromAndLabel[fromId] = {};
+    }
+    let labels = this._edgesByFromAndLabel[fromId];
+    if (labels[edge.label] === undefined) {
+      labels[edge.label] = {};
+    }
+    labels[edge.label][edge.id] = edge;
+
+    if (this._edgesByLabel[edge.label] === undefined) {
+      this._edgesByLabel[edge.label] = {};
+    }
+    this._edgesByLabel[edge.label][edge.id] = edge;
+  }
+
+  /**
+   * Remove the specified edge from this graph's edge indexes.
+   * Empty entries are left in the indexes until the node they belong to is removed.
+   *
+   * @private
+   * @param {!Graph.Edge} edge - The edge to remove from the indexes
+   */
+  _unindexEdge(edge) {
+    delete this._edgesByFromAndLabel[edge._from.id][edge.label][edge.id];
+    delete this._edgesByLabel[edge.label][edge.id];
+  }
+
   /**
    * Set the root node of this graph by specifying its id.
    *
@@ -479,7 +707,7 @@ class Graph {
         this._edgeMap[key].id,
         clone.getNode(this._edgeMap[key].from.id),  // make sure to use the copied node, not the original
         clone.getNode(this._edgeMap[key].to.id),
-        this._edgeMap[key].label,
+        Graph._prefixedLabel(this._edgeMap[key]),
         this._edgeMap[key].isHidden,
         this._edgeMap[key].isDeadlock);
     }
@@ -490,6 +718,85 @@ class Graph {
     return clone;
   }
 
+  /**
+   * Returns this graph as a plain object that can be converted to JSON and back into a graph
+   * with `Graph.fromJSON`. This is also called by `JSON.stringify`.
+   *
+   * The schema is versioned by `version`, nodes are listed with the root first and the ids of
+   * the nodes and edges are kept:
+   *   {
+   *     version: 1,
+   *     root: id or null,
+   *     nodes: [{id, label, metaData}],
+   *     edges: [{id, from, to, label, isHidden, isDeadlock, isBroadcasting, isListening}]
+   *   }
+   * The edge flags are only included when they are true. Hidden and deadlock edges keep the
+   * labels TAU and DELTA, broadcasting and listening edges have their labels without the '!' or '?'.
+   *
+   * @returns {!object} The graph as a plain object
+   */
+  toJSON() {
+    let json = {
+      version: GRAPH_JSON_VERSION,
+      root: (this._rootId !== undefined) ? this._rootId : null,
+      nodes: [],
+      edges: []
+    };
+
+    let nodes = (this._nodeCount > 0) ? this.nodes : [];
+    for (let i = 0; i < nodes.length; i++) {
+      json.nodes.push({id: nodes[i].id, label: nodes[i].label, metaData: nodes[i].metaData});
+    }
+
+    let flags = ['isHidden', 'isDeadlock', 'isBroadcasting', 'isListening'];
+    for (let key in this._edgeMap) {
+      let edge = this._edgeMap[key];
+      let edgeJSON = {id: edge.id, from: edge.from.id, to: edge.to.id, label: edge.label};
+
+      // only include the flags that are set
+      for (let i = 0; i < flags.length; i++) {
+        if (edge[flags[i]]) {
+          edgeJSON[flags[i]] = true;
+        }
+      }
+
+      json.edges.push(edgeJSON);
+    }
+
+    return json;
+  }
+
+  /**
+   * Create a deep clone of this graph where the nodes and edges are given compact ids.
+   * The nodes are numbered from 0 and the edges from 0 in the order given by `breadthFirstOrder`,
+   * so the clone only depends on the structure of this graph and not on how its ids were allocated.
+   *
+   * @returns {!Graph} The clone
+   */
+  compactClone() {
+    let order = this.breadthFirstOrder();
+    let clone = new Graph();
+
+    let ids = {};
+    for (let i = 0; i < order.nodes.length; i++) {
+      ids[order.nodes[i].id] = i;
+      clone.addNode(i, order.nodes[i].label, order.nodes[i].metaData);
+    }
+
+    for (let i = 0; i < order.edges.length; i++) {
+      let edge = order.edges[i];
+      let added = clone.addEdge(i, clone.getNode(ids[edge.from.id]), clone.getNode(ids[edge.to.id]),
+        Graph._prefixedLabel(edge));
+      if (edge.isHidden) {
+        added.hideEdge();
+      } else if (edge.isDeadlock) {
+        added.deadlockEdge();
+      }
+    }
+
+    return clone;
+  }
+
   /**
    * Combine this graph with one or more other graphs.
    * If the given graph(s) contains nodes/edges with the same id as this graph,
@@ -522,7 +829,7 @@ class Graph {
             graphs[i]._edgeMap[key].id,
             this.getNode(graphs[i]._edgeMap[key].from.id), // use the node in this graph, not the one in the other graph
             this.getNode(graphs[i]._edgeMap[key].to.id),
-            graphs[i]._edgeMap[key].label,
+            Graph._prefixedLabel(graphs[i]._edgeMap[key]),
             graphs[i]._edgeMap[key].isHidden,
             graphs[i]._edgeMap[key].isDeadlock);
         }
@@ -567,8 +874,10 @@ class Graph {
       // update the edges from this node to be from the merged node
       for (let key in node._edgesFromMe) {
         let edge = node._edgesFromMe[key];
+        this._unindexEdge(edge);
         edge._from = mergedNode;
         mergedNode._addEdgeFromMe(edge);
+        this._indexEdge(edge);
       }
       node._edgesFromMe = {};
 
@@ -620,6 +929,135 @@ class Graph {
     }
   }
 
+  /**
+   * Construct a graph from a plain object (or JSON string) returned by `Graph.toJSON`.
+   * The nodes and edges are given the same ids that they had when they were converted.
+   *
+   * @param {!object|!string} json - The graph as a plain object or JSON string
+   * @throws {Graph.Exception} json must be a graph of a supported version
+   * @returns {!Graph} The graph
+   */
+  static fromJSON(json) {
+    if (typeof json === 'string') {
+      json = JSON.parse(json);
+    }
+    if (!json || json.version !== GRAPH_JSON_VERSION) {
+      throw new Graph.Exception(
+        'cannot construct a graph from JSON of version "' + (json && json.version) + '", expected version ' +
+        GRAPH_JSON_VERSION + '.');
+    }
+
+    let graph = new Graph();
+    for (let i = 0; i < json.nodes.length; i++) {
+      graph.addNode(json.nodes[i].id, json.nodes[i].label, json.nodes[i].metaData);
+    }
+
+    for (let i = 0; i < json.edges.length; i++) {
+      let edge = json.edges[i];
+      let from = graph.getNode(edge.from);
+      let to = graph.getNode(edge.to);
+      if (from === undefined || to === undefined) {
+        throw new Graph.Exception(
+          'cannot construct a graph from JSON with an edge "' + edge.id + '" between nodes that are not in it.');
+      }
+
+      let prefix = edge.isBroadcasting ? '!' : edge.isListening ? '?' : '';
+      let added = graph.addEdge(edge.id, from, to, prefix + edge.label);
+      if (edge.isHidden) {
+        added.hideEdge();
+      } else if (edge.isDeadlock) {
+        added.deadlockEdge();
+      }
+    }
+
+    graph.root = (json.root !== null) ? graph.getNode(json.root) : undefined;
+
+    return graph;
+  }
+
+  /**
+   * Returns the result of compiling some code as a plain object that can be converted to JSON
+   * and back with `Graph.compileResultFromJSON`, so that the result can be cached or shared.
+   *
+   * The result's automata are converted with `Graph.toJSON` and its operations, which may be an
+   * array or a map of indexes to results (as in the interpreter's `_operationsMap`), are listed in order:
+   *   {
+   *     version: 1,
+   *     automata: [{name, graph}],
+   *     operations: [{input, result, position, trace, formula, process, assertion, counterexample}],
+   *     violations: [{type, process, message, trace, cycle, state, position}]
+   *   }
+   *
+   * @param {!object} result - The compile result, with `automata`, `operations` and `violations`
+   * @returns {!object} The compile result as a plain object
+   */
+  static compileResultToJSON(result) {
+    let json = {
+      version: GRAPH_JSON_VERSION,
+      automata: [],
+      operations: [],
+      violations: Graph._deepCloneObject(result.violations || [])
+    };
+
+    let automata = result.automata || [];
+    for (let i = 0; i < automata.length; i++) {
+      json.automata.push({name: automata[i].name, graph: automata[i].graph.toJSON()});
+    }
+
+    // list the operations in order of their indexes if they are in a map
+    let operations = result.operations || [];
+    let keys = Object.keys(operations).sort(function(a, b) {
+      return Number.parseInt(a, 10) - Number.parseInt(b, 10);
+    });
+    for (let i = 0; i < keys.length; i++) {
+      json.operations.push(Graph._deepCloneObject(operations[keys[i]]));
+    }
+
+    return json;
+  }
+
+  /**
+   * Construct a compile result from a plain object (or JSON string) returned by `Graph.compileResultToJSON`.
+   * The automata are returned as objects with a name and a graph.
+   *
+   * @param {!object|!string} json - The compile result as a plain object or JSON string
+   * @throws {Graph.Exception} json must be a compile result of a supported version
+   * @returns {!object} The compile result, with `automata`, `operations` and `violations`
+   */
+  static compileResultFromJSON(json) {
+    if (typeof json === 'string') {
+      json = JSON.parse(json);
+    }
+    if (!json || json.version !== GRAPH_JSON_VERSION) {
+      throw new Graph.Exception(
+        'cannot construct a compile result from JSON of version "' + (json && json.version) + '", expected version ' +
+        GRAPH_JSON_VERSION + '.');
+    }
+
+    let automata = [];
+    for (let i = 0; i < json.automata.length; i++) {
+      automata.push({name: json.automata[i].name, graph: Graph.fromJSON(json.automata[i].graph)});
+    }
+
+    return {
+      automata: automata,
+      operations: Graph._deepCloneObject(json.operations),
+      violations: Graph._deepCloneObject(json.violations || [])
+    };
+  }
+
+  /**
+   * Returns the label of the specified edge including its broadcasting ('!') or listening ('?') prefix.
+   *
+   * @protected
+   * @param {!Graph.Edge} edge - The edge
+   * @returns {!string} The label
+   */
+  static _prefixedLabel(edge) {
+    let prefix = edge.isBroadcasting ? '!' : edge.isListening ? '?' : '';
+    return prefix + edge.label;
+  }
+
   /**
    * Create a deep clone of an object or array.
    *
@@ -709,6 +1147,13 @@ Graph.Node = class {
       this.graph._rootId = newId;   // make sure the graph gets the update
     }
 
+    // move the index of the edges from this node to the new id
+    let edgesByFromAndLabel = this._graph._edgesByFromAndLabel;
+    if (edgesByFromAndLabel[oldId] !== undefined) {
+      edgesByFromAndLabel[newId] = edgesByFromAndLabel[oldId];
+      delete edgesByFromAndLabel[oldId];
+    }
+
     // update all the edges that refer to this node
     for (let edgeId in this._graph._edgeMap) {
       // update edges from this node
@@ -822,11 +1267,9 @@ Graph.Node = class {
    */
   coaccessible(edge) {
     let temp = [];
-    let edges = this.edgesFromMe;
+    let edges = this._graph._getIndexedEdges(this._id, edge);
     for (let e in edges) {
-      if (edges[e].label === edge) {
-        temp.push(edges[e].to);
-      }
+      temp.push(edges[e].to);
     }
 
     if (temp.length === 0) {
@@ -971,6 +1414,8 @@ Graph.Edge = class {
    * @returns {!string} The new label
    */
   set label(lbl) {
+    let isIndexed = this._removeFromIndex();
+
     // check if this label is broadcasting
     if (lbl[0] === '!') {
       this._isBroadcasting = true;
@@ -990,11 +1435,15 @@ Graph.Edge = class {
     delete this._graph.alphabet[this._label];
     this._label = lbl + ''; // convert lbl to a string then set the label
     this._graph.alphabet[this._label] = true;
+
+    this._restoreToIndex(isIndexed);
     return this._label;
   }
 
   hideEdge() {
+    let isIndexed = this._removeFromIndex();
     this._label = TAU;
+    this._restoreToIndex(isIndexed);
     return this._label;
   }
 
@@ -1006,7 +1455,9 @@ Graph.Edge = class {
   }
 
   deadlockEdge() {
+    let isIndexed = this._removeFromIndex();
     this._label = DELTA;
+    this._restoreToIndex(isIndexed);
     return this._label;
   }
 
@@ -1034,6 +1485,33 @@ Graph.Edge = class {
   get isListening() {
     return (this._isListening) ? true : false;
   }
+
+  /**
+   * Remove this edge from its graph's edge indexes before its label is changed.
+   * Edges that are still being constructed have not been indexed yet.
+   *
+   * @private
+   * @returns {!boolean} Whether or not this edge was indexed
+   */
+  _removeFromIndex() {
+    let isIndexed = this._graph._edgeMap[this._id] === this;
+    if (isIndexed) {
+      this._graph._unindexEdge(this);
+    }
+    return isIndexed;
+  }
+
+  /**
+   * Add this edge back to its graph's edge indexes after its label has changed.
+   *
+   * @private
+   * @param {!boolean} isIndexed - Whether or not this edge was indexed
+   */
+  _restoreToIndex(isIndexed) {
+    if (isIndexed) {
+      this._graph._indexEdge(this);
+    }
+  }
 };
 
 /**
@@ -1283,3 +1761,27 @@ Graph.Exception = class {
     this.message = msg;
   }
 };
+
+/**
+ * A Graph Exception thrown when a graph has reached its node or edge limit (see GraphLimit).
+ *
+ * @class
+ * @property {!string} message      - The message
+ * @property {!number} nodeCount    - The number of nodes the graph had reached
+ * @property {!number} edgeCount    - The number of edges the graph had reached
+ * @property {!boolean} isEdgeLimit - True if the edge limit was reached, false if the node limit was reached
+ */
+Graph.LimitException = class extends Graph.Exception {
+
+  /**
+   * @param {!string} msg          - The message
+   * @param {!Graph} graph         - The graph that reached its limit
+   * @param {!boolean} isEdgeLimit - Whether it was the edge limit that was reached
+   */
+  constructor(msg, graph, isEdgeLimit) {
+    super(msg);
+    this.nodeCount = graph.nodeCount;
+    this.edgeCount = graph.edgeCount;
+    this.isEdgeLimit = isEdgeLimit;
+  }
+};
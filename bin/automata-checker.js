@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+'use strict';
+
+/*
+ * Command line checker for automata code.
+ *
+ * Compiles each of the specified files and prints the result of every operation in them, as well as
+ * any violations found when checking their processes (such as a safety property being violated or a deadlock).
+ * Exits with a non-zero status if any operation fails, any violation is found or any file could not be compiled.
+ */
+
+var fs = require('fs');
+var checker = require('../lib/automata-checker.js');
+
+var USAGE = [
+  'Usage: automata-checker [options] <file>...',
+  '',
+  'Options:',
+  '  --unfair              perform unfair abstraction (fair abstraction is performed by default)',
+  '  --json                print the results as JSON',
+  '  --import <name=file>  import an Aldebaran (.aut) file as the process <name>',
+  '  --help                print this message'
+].join('\n');
+
+// the error type reported for each type of diagnostic
+var ERROR_TYPES = {
+  SyntaxError: 'syntax',
+  InterpreterException: 'interpreter',
+  Error: 'unknown'
+};
+
+/**
+ * Compile the specified file and return the results of its operations and its violations.
+ *
+ * @param {!string} file - the path of the file to check
+ * @param {!object} options - the options to compile the file with
+ * @returns {!object} the file's results, containing either its operations and violations or an error
+ */
+function checkFile(file, options) {
+  var code;
+  try {
+    // remove the byte order mark that some editors save files with
+    code = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '');
+  } catch (e) {
+    return {file: file, error: {type: 'file', message: e.message}};
+  }
+
+  var compilation = checker.compile(code, {fair: options.isFair, imports: options.imports});
+  if (compilation.diagnostics.length > 0) {
+    var diagnostic = compilation.diagnostics[0];
+    var error = {type: ERROR_TYPES[diagnostic.type], message: diagnostic.message};
+    if (diagnostic.location !== undefined) {
+      error.line = diagnostic.location.start.line;
+      error.column = diagnostic.location.start.column;
+    }
+    return {file: file, error: error};
+  }
+
+  var operations = compilation.operations.map(function(operation) {
+    var output = {
+      line: operation.position.start.line,
+      column: operation.position.start.column,
+      input: operation.input,
+      result: operation.result
+    };
+    if (operation.trace !== undefined) {
+      output.trace = operation.trace;
+    }
+    if (operation.formula !== undefined) {
+      output.formula = operation.formula;
+    }
+    if (operation.counterexample !== undefined) {
+      output.counterexample = {prefix: operation.counterexample.prefix, cycle: operation.counterexample.cycle};
+    }
+    return output;
+  });
+
+  var violations = compilation.violations.map(function(violation) {
+    var output = {
+      line: violation.position.start.line,
+      column: violation.position.start.column,
+      type: violation.type,
+      process: violation.process,
+      message: violation.message,
+      trace: violation.trace
+    };
+    if (violation.cycle !== undefined) {
+      output.cycle = violation.cycle;
+    }
+    if (violation.state !== undefined) {
+      output.state = violation.state;
+    }
+    return output;
+  });
+
+  return {file: file, operations: operations, violations: violations};
+}
+
+/**
+ * Returns whether or not the specified file's results passed.
+ *
+ * @param {!object} result - the results of a file
+ * @returns {!boolean} true if the file compiled, every operation in it passed and it has no violations
+ */
+function passed(result) {
+  return result.error === undefined && result.violations.length === 0 && result.operations.every(function(operation) {
+    return operation.result;
+  });
+}
+
+/**
+ * Print the specified file's results in a human readable format.
+ *
+ * @param {!object} result - the results of a file
+ */
+function printResult(result) {
+  if (result.error !== undefined) {
+    var prefix = result.error.type === 'syntax' ? 'Syntax error' : 'Error';
+    var position = result.error.line !== undefined ? result.error.line + ':' + result.error.column + ': ' : ' ';
+    console.log(result.file + ':' + position + prefix + ' - ' + result.error.message);
+    return;
+  }
+
+  result.operations.forEach(function(operation) {
+    console.log(result.file + ':' + operation.line + ': ' + operation.input + ' = ' + operation.result);
+    if (operation.trace !== undefined) {
+      console.log('  distinguishing trace: ' + operation.trace.join(', '));
+    }
+    if (operation.formula !== undefined) {
+      console.log('  distinguishing formula: ' + operation.formula);
+    }
+    if (operation.counterexample !== undefined) {
+      var counterexample = operation.counterexample;
+      console.log('  counterexample prefix: ' + (counterexample.prefix.length > 0 ? counterexample.prefix.join(', ') : '(empty)'));
+      console.log('  counterexample cycle: ' + (counterexample.cycle.length > 0 ? counterexample.cycle.join(', ') : '(empty)'));
+    }
+  });
+
+  result.violations.forEach(function(violation) {
+    console.log(result.file + ':' + violation.line + ': ' + violation.message);
+    console.log('  trace: ' + (violation.trace.length > 0 ? violation.trace.join(', ') : '(empty)'));
+    if (violation.cycle !== undefined) {
+      console.log('  cycle: ' + violation.cycle.join(', '));
+    }
+  });
+}
+
+var args = process.argv.slice(2);
+var options = {isFair: true, json: false, imports: {}};
+var files = [];
+for (var i = 0; i < args.length; i++) {
+  switch (args[i]) {
+    case '--unfair':
+      options.isFair = false;
+      break;
+
+    case '--json':
+      options.json = true;
+      break;
+
+    case '--import':
+      var match = /^([A-Z][a-zA-Z0-9_]*)=(.+)$/.exec(args[++i] || '');
+      if (match === null) {
+        console.error('Expected "--import <name=file>" where <name> is a process name.\n\n' + USAGE);
+        process.exit(2);
+      }
+      try {
+        options.imports[match[1]] = fs.readFileSync(match[2], 'utf8');
+      } catch (e) {
+        console.error('Could not import "' + match[2] + '" - ' + e.message);
+        process.exit(2);
+      }
+      break;
+
+    case '--help':
+      console.log(USAGE);
+      process.exit(0);
+      break;
+
+    default:
+      if (args[i].indexOf('--') === 0) {
+        console.error('Unknown option "' + args[i] + '".\n\n' + USAGE);
+        process.exit(2);
+      }
+      files.push(args[i]);
+  }
+}
+
+if (files.length === 0) {
+  console.error(USAGE);
+  process.exit(2);
+}
+
+var results = files.map(function(file) {
+  return checkFile(file, options);
+});
+
+if (options.json) {
+  console.log(JSON.stringify(results, null, 2));
+} else {
+  results.forEach(printResult);
+}
+
+process.exit(results.every(passed) ? 0 : 1);
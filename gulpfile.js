@@ -108,6 +108,7 @@ gulp.task('copy', function() {
   var app = gulp.src([
     'app/*',
     '!app/test',
+    '!app/benchmark',
     '!app/cache-config.json'
   ], {
     dot: true
@@ -150,7 +151,7 @@ gulp.task('fonts', function() {
 gulp.task('html', function() {
   var assets = $.useref.assets({searchPath: ['.tmp', 'app', 'dist']});
 
-  return gulp.src(['app/**/*.html', '!app/{elements,test}/**/*.html'])
+  return gulp.src(['app/**/*.html', '!app/{elements,test,benchmark}/**/*.html'])
     .pipe(dom(function() {
       var bsb = this.querySelector('#browser-sync-binding');
       if (bsb) {
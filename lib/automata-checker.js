@@ -0,0 +1,66 @@
+'use strict';
+
+/*
+ * Makes the automata parser, interpreter and graph operations available as a Node.js module,
+ * so that code can be checked without a browser.
+ *
+ * The application's scripts are written for the browser (they define globals rather than
+ * exporting anything), so they are all run inside of a single vm context.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var _ = require('lodash');
+
+var APP_DIRECTORY = path.join(__dirname, '..', 'app');
+
+// the scripts needed by the interpreter, in the order they need to be loaded
+var SCRIPTS = [
+  'scripts/graph.es6.js',
+  'scripts/graph-operations/abstraction.js',
+  'scripts/graph-operations/bisimulation.js',
+  'scripts/graph-operations/determinisation.js',
+  'scripts/graph-operations/terminal-sets.js',
+  'scripts/graph-operations/ltl.js',
+  'scripts/graph-operations/parallel-composition.js',
+  'scripts/graph-operations/traces.js',
+  'scripts/graph-exporters/aldebaran.js',
+  'scripts/automaton.js',
+  'scripts/index-iterator.es6.js',
+  'scripts/expression-interpreter.js',
+  'scripts/reverse-polish-notation.js',
+  'scripts/shunting-yard-algorithm.js',
+  'elements/automata-parser/parser.js',
+  'elements/automata-parser/initial-parser.js',
+  'elements/automata-parser/automata-interpreter.js',
+  'elements/automata-parser/automata-compiler.js'
+];
+
+var context = vm.createContext({_: _, console: console});
+SCRIPTS.forEach(function(script) {
+  var file = path.join(APP_DIRECTORY, script);
+  vm.runInContext(fs.readFileSync(file, 'utf8'), context, {filename: file});
+});
+
+var AutomataCompiler = vm.runInContext('AutomataCompiler', context);
+
+/**
+ * Compile the code.
+ * See `AutomataCompiler.prototype.compile` in automata-compiler.js for the options and result.
+ *
+ * @param {!string} code - The code to compile
+ * @param {object} [options] - The compilation options
+ * @returns {!object} The definitions, automata, operations results and diagnostics
+ */
+function compile(code, options) {
+  return AutomataCompiler.compile(code, options);
+}
+
+module.exports = {
+  compile: compile,
+  AutomataCompiler: AutomataCompiler,
+  Graph: vm.runInContext('Graph', context),
+  SyntaxError: AutomataCompiler.SyntaxError,
+  InterpreterException: AutomataCompiler.InterpreterException
+};